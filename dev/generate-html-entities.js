@@ -0,0 +1,64 @@
+// dev/generate-html-entities.js
+// Regenerates netlify/functions/lib/html-entities.js from the WHATWG list of
+// named character references, https://html.spec.whatwg.org/entities.json
+// (download it first; this script doesn't fetch anything).
+//
+//   curl -o /tmp/entities.json https://html.spec.whatwg.org/entities.json
+//   node dev/generate-html-entities.js /tmp/entities.json
+//
+// Only the semicolon forms are kept; lib/html-to-text.js accepts the few
+// legacy forms without one (LEGACY_ENTITIES) by looking up the same names.
+
+const fs = require("fs");
+const path = require("path");
+
+const OUT_FILE = path.join(__dirname, "..", "netlify", "functions", "lib", "html-entities.js");
+const MAX_LINE = 102;
+
+const HEADER = `// netlify/functions/lib/html-entities.js
+// Named character references from the WHATWG HTML spec (the semicolon forms),
+// used by lib/html-to-text.js. Data only; regenerate with
+// dev/generate-html-entities.js rather than hand-edit.
+`;
+
+// Every character escaped, so the table is plain ASCII: "\\u00c6", "\\u{1d504}".
+function escape(characters) {
+  let out = "";
+  for (const ch of characters) {
+    const cp = ch.codePointAt(0);
+    out += cp > 0xffff ? `\\u{${cp.toString(16)}}` : `\\u${cp.toString(16).padStart(4, "0")}`;
+  }
+  return out;
+}
+
+function render(entities) {
+  const entries = Object.keys(entities)
+    .filter((ref) => /^&[a-zA-Z][a-zA-Z0-9]*;$/.test(ref))
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+    .map((ref) => `${ref.slice(1, -1)}:"${escape(entities[ref].characters)}"`);
+
+  const lines = [];
+  let line = "";
+  for (const entry of entries) {
+    if (line && `  ${line} ${entry},`.length > MAX_LINE) {
+      lines.push(`  ${line}`);
+      line = "";
+    }
+    line += line ? ` ${entry},` : `${entry},`;
+  }
+  if (line) lines.push(`  ${line.slice(0, -1)}`);
+  return `${HEADER}\nmodule.exports = {\n${lines.join("\n")}\n};\n`;
+}
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error("usage: node dev/generate-html-entities.js <entities.json>");
+    process.exit(2);
+  }
+  const table = render(JSON.parse(fs.readFileSync(file, "utf8")));
+  fs.writeFileSync(OUT_FILE, table);
+  console.log(`wrote ${path.relative(process.cwd(), OUT_FILE)}`);
+}
+
+module.exports = { render };
@@ -0,0 +1,85 @@
+// dev/harness.js
+// Shared setup for the end-to-end tests in test/: starts the mock aXcelerate
+// server, points the functions' env at it and loads handlers afterwards
+// (several lib modules read their env when first required, and node --test
+// runs each test file in its own process, so each file gets a clean start).
+
+const http = require("http");
+const path = require("path");
+const { startMockAxcelerate } = require("./mock-axcelerate");
+const { replay, signPayload } = require("./replay-webhook");
+
+const FUNCTIONS_DIR = path.join(__dirname, "..", "netlify", "functions");
+const WEBHOOKS_DIR = path.join(__dirname, "fixtures", "webhooks");
+
+const TEST_SECRET = "test-webhook-secret";
+
+async function startHarness(env = {}) {
+  const mock = await startMockAxcelerate();
+  Object.assign(process.env, {
+    AXC_BASE_URL: mock.url,
+    AXC_API_TOKEN: mock.apiToken,
+    AXC_WS_TOKEN: mock.wsToken,
+    AXC_RETRIES: "1",
+    STORE_BACKEND: "memory",
+    TD_WEBHOOK_SECRET: TEST_SECRET,
+    LOG_LEVEL: "error",
+    LOOKUP_MIN_RESPONSE_MS: "0",
+    ...env,
+  });
+
+  const handler = (name) => require(path.join(FUNCTIONS_DIR, `${name}.js`)).handler;
+
+  // A recorded payload (object copy, so tests can change fields freely)
+  const webhook = (name) => JSON.parse(JSON.stringify(require(path.join(WEBHOOKS_DIR, `${name}.json`))));
+
+  return {
+    mock,
+    handler,
+    webhook,
+    replay: (payload, options = {}) =>
+      replay(payload, { local: handler("add-contact-note"), secret: TEST_SECRET, ...options }),
+    close: () => mock.close(),
+  };
+}
+
+// Serves one function over HTTP the way Netlify invokes it. Background
+// functions answer 202 at once and run afterwards; `settled()` resolves when
+// every invocation so far has finished.
+function serveFunction(handler, { background = false } = {}) {
+  const running = new Set();
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://functions.local");
+      const event = {
+        httpMethod: req.method,
+        headers: req.headers,
+        queryStringParameters: Object.fromEntries(url.searchParams),
+        body: Buffer.concat(chunks).toString("utf8"),
+      };
+      const run = Promise.resolve().then(() => handler(event, {}));
+      if (background) {
+        res.writeHead(202).end();
+        const tracked = run.catch(() => {}).finally(() => running.delete(tracked));
+        running.add(tracked);
+        return;
+      }
+      const out = await run;
+      res.writeHead(out.statusCode, out.headers || {}).end(out.body || "");
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      settled: () => Promise.all([...running]),
+      close: () => new Promise((r) => {
+        server.closeAllConnections?.();
+        server.close(() => r());
+      }),
+    }));
+  });
+}
+
+module.exports = { startHarness, serveFunction, signPayload, TEST_SECRET };
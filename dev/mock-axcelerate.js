@@ -0,0 +1,290 @@
+// dev/mock-axcelerate.js
+// A local stand-in for the parts of the aXcelerate REST API the functions
+// use, backed by fixture data (dev/fixtures/axcelerate.json by default):
+//
+//   GET  /api/contacts?emailAddress=             exact primary-email lookup
+//   GET  /api/contacts/search?emailAddress=|q=|search=   paged (displayLength, offset)
+//   GET  /api/contact/:id                        PUT /api/contact/:id (form)
+//   POST /api/contact/                           create (form)
+//   POST /api/contact/note/                      contactID, contactNote (form)
+//   POST /api/contact/document                   multipart upload (recorded, not parsed)
+//   GET  /api/course/enrolments?contactID=       paged (limit, offset)
+//   GET  /api/course/enrolment?contactID=&instanceID=
+//   GET  /files/:name                            attachment downloads (no tokens needed)
+//
+// Requests must carry the apitoken / wstoken headers the server was started
+// with, like the real API. Writes change the in-memory copy of the fixtures
+// only; notes, created contacts and every request are kept for inspection.
+//
+// Failures can be injected, either in code:
+//   mock.fail({ method: "POST", path: "/api/contact/note/", status: 500, times: 1 })
+// or with a "failures" array of the same objects in the fixture file. `path`
+// matches as a prefix of the pathname; `match(req)` can narrow it further;
+// `delayMs` holds the response back (for timeouts), `body` replaces the error text.
+//
+// Files for attachment archival are served with
+//   mock.file("report.pdf", { type: "application/pdf", body: Buffer | string, contentLength: false })
+// at `${mock.url}/files/report.pdf`; contentLength: false sends the body
+// chunked, without a Content-Length header.
+//
+// CLI:
+//   node dev/mock-axcelerate.js [--port 8787] [--fixtures file.json]
+//   then AXC_BASE_URL=http://localhost:8787 AXC_API_TOKEN=dev-api-token AXC_WS_TOKEN=dev-ws-token
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURES = path.join(__dirname, "fixtures", "axcelerate.json");
+const DEFAULT_TOKENS = { apiToken: "dev-api-token", wsToken: "dev-ws-token" };
+const EMAIL_FIELDS = ["EMAILADDRESS", "EMAILADDRESSALTERNATIVE", "CUSTOMFIELD_PERSONALEMAIL"];
+
+const lower = (s) => String(s ?? "").trim().toLowerCase();
+
+function loadFixtures(fixtures) {
+  const raw = fixtures && typeof fixtures === "object"
+    ? fixtures
+    : JSON.parse(fs.readFileSync(fixtures || DEFAULT_FIXTURES, "utf8"));
+  // Deep copy: writes must not leak between servers sharing one fixture object
+  const copy = JSON.parse(JSON.stringify(raw));
+  return {
+    contacts: copy.contacts || [],
+    enrolments: copy.enrolments || {},
+    failures: copy.failures || [],
+  };
+}
+
+/* ----------------- request helpers ----------------- */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function parseForm(req, buffer) {
+  const type = lower(req.headers["content-type"]);
+  if (type.startsWith("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(buffer.toString("utf8")));
+  }
+  if (type.startsWith("application/json") && buffer.length) {
+    try { return JSON.parse(buffer.toString("utf8")); } catch { return {}; }
+  }
+  return {};
+}
+
+function page(list, query, sizeParam) {
+  const size = Number(query.get(sizeParam) || list.length || 1);
+  const offset = Number(query.get("offset") || 0);
+  return list.slice(offset, offset + size);
+}
+
+// Sends a mock.file() entry, in 16 KB chunks when it has no Content-Length.
+function sendFile(res, file) {
+  const body = Buffer.from(file.body ?? "");
+  const headers = { "Content-Type": file.type || "application/octet-stream" };
+  if (file.contentLength !== false) headers["Content-Length"] = String(file.contentLength ?? body.length);
+  res.writeHead(200, headers);
+  for (let i = 0; i < body.length; i += 16 * 1024) res.write(body.subarray(i, i + 16 * 1024));
+  res.end();
+}
+
+/* ----------------- routes ----------------- */
+function contactHasEmail(contact, email) {
+  return EMAIL_FIELDS.some((f) => lower(contact[f]) !== "" && lower(contact[f]) === email);
+}
+
+function contactMentions(contact, term) {
+  return [...EMAIL_FIELDS, "GIVENNAME", "SURNAME"].some((f) => lower(contact[f]).includes(term));
+}
+
+function route(state, req, url, form, body) {
+  const { pathname, searchParams: q } = url;
+  const method = req.method;
+  const byId = (id) => state.contacts.find((c) => String(c.CONTACTID) === String(id));
+
+  if (method === "GET" && pathname === "/api/contacts") {
+    const email = lower(q.get("emailAddress"));
+    return [200, state.contacts.filter((c) => lower(c.EMAILADDRESS) === email)];
+  }
+
+  if (method === "GET" && pathname === "/api/contacts/search") {
+    const email = lower(q.get("emailAddress"));
+    const term = lower(q.get("q") || q.get("search"));
+    const hits = email
+      ? state.contacts.filter((c) => contactHasEmail(c, email))
+      : term ? state.contacts.filter((c) => contactMentions(c, term)) : [];
+    return [200, page(hits, q, "displayLength")];
+  }
+
+  if (method === "POST" && pathname === "/api/contact/note/") {
+    if (!form.contactID || !form.contactNote) return [400, { error: "contactID and contactNote are required" }];
+    if (!byId(form.contactID)) return [404, { error: `No contact ${form.contactID}` }];
+    const note = { NOTEID: 50000 + state.notes.length + 1, contactID: Number(form.contactID), contactNote: form.contactNote };
+    state.notes.push(note);
+    return [200, { NOTEID: note.NOTEID, STATUS: "success" }];
+  }
+
+  if (method === "POST" && pathname === "/api/contact/document") {
+    state.documents.push({ contentType: req.headers["content-type"] || "", bytes: body.length });
+    return [200, { STATUS: "success" }];
+  }
+
+  if (method === "POST" && pathname === "/api/contact/") {
+    if (!form.emailAddress) return [400, { error: "emailAddress is required" }];
+    const contact = {
+      CONTACTID: Math.max(1000, ...state.contacts.map((c) => Number(c.CONTACTID) || 0)) + 1,
+      GIVENNAME: form.givenName || "",
+      SURNAME: form.surname || "",
+      EMAILADDRESS: form.emailAddress,
+      MOBILEPHONE: form.mobilephone || "",
+      LASTUPDATED: new Date().toISOString(),
+    };
+    state.contacts.push(contact);
+    state.created.push(contact);
+    return [200, contact];
+  }
+
+  const contactPath = pathname.match(/^\/api\/contact\/(\d+)$/);
+  if (contactPath) {
+    const contact = byId(contactPath[1]);
+    if (!contact) return [404, { error: `No contact ${contactPath[1]}` }];
+    if (method === "GET") return [200, contact];
+    if (method === "PUT") {
+      for (const [k, v] of Object.entries(form)) contact[k.toUpperCase()] = v;
+      contact.LASTUPDATED = new Date().toISOString();
+      return [200, contact];
+    }
+  }
+
+  if (method === "GET" && pathname === "/api/course/enrolments") {
+    const rows = state.enrolments[String(q.get("contactID"))] || [];
+    return [200, page(rows, q, "limit")];
+  }
+
+  if (method === "GET" && pathname === "/api/course/enrolment") {
+    const rows = state.enrolments[String(q.get("contactID"))] || [];
+    const program = rows.find((r) => r.TYPE === "p" && String(r.INSTANCEID) === String(q.get("instanceID")));
+    if (!program) return [404, { error: "Enrolment not found" }];
+    const units = rows.filter((r) => r.TYPE !== "p" && String(r.PARENTENROLID) === String(program.ENROLID));
+    return [200, [{ ...program, UNITS: units }]];
+  }
+
+  return [404, { error: `No mock route for ${method} ${pathname}` }];
+}
+
+/* ----------------- server ----------------- */
+// Resolves to { url, close(), fail(rule), file(name, file), notes, created, requests, contacts, reset() }.
+function startMockAxcelerate({ port = 0, fixtures, apiToken, wsToken } = {}) {
+  const tokens = {
+    apiToken: apiToken || DEFAULT_TOKENS.apiToken,
+    wsToken: wsToken || DEFAULT_TOKENS.wsToken,
+  };
+  const initial = loadFixtures(fixtures);
+  const state = {};
+  const reset = () => {
+    const fresh = loadFixtures(initial);
+    Object.assign(state, {
+      contacts: fresh.contacts,
+      enrolments: fresh.enrolments,
+      failures: fresh.failures.map((f) => ({ ...f })),
+      files: {},
+      notes: [],
+      created: [],
+      documents: [],
+      requests: [],
+    });
+  };
+  reset();
+
+  function takeFailure(entry) {
+    const rule = state.failures.find((f) =>
+      (!f.method || f.method.toUpperCase() === entry.method) &&
+      (!f.path || entry.path.startsWith(f.path)) &&
+      (!f.match || f.match(entry)) &&
+      (f.times == null || f.times > 0));
+    if (rule && rule.times != null) rule.times--;
+    return rule;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, data) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(typeof data === "string" ? data : JSON.stringify(data));
+    };
+    try {
+      const url = new URL(req.url, "http://mock.local");
+      const buffer = await readBody(req);
+      const form = parseForm(req, buffer);
+      const entry = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), form };
+      state.requests.push(entry);
+
+      // Attachment downloads come from ThriveDesk, not the API: no tokens
+      const file = req.method === "GET" && url.pathname.startsWith("/files/") &&
+        state.files[decodeURIComponent(url.pathname.slice("/files/".length))];
+      if (file) return sendFile(res, file);
+
+      if (req.headers.apitoken !== tokens.apiToken || req.headers.wstoken !== tokens.wsToken) {
+        return send(401, { error: "Invalid apitoken / wstoken" });
+      }
+
+      const failure = takeFailure(entry);
+      if (failure) {
+        if (failure.delayMs) await new Promise((r) => setTimeout(r, failure.delayMs));
+        return send(failure.status || 500, failure.body ?? { error: "Injected failure" });
+      }
+
+      const [status, data] = route(state, req, url, form, buffer);
+      send(status, data);
+    } catch (err) {
+      send(500, { error: String(err?.message || err) });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      const { port: bound } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${bound}`,
+        ...tokens,
+        get notes() { return state.notes; },
+        get created() { return state.created; },
+        get documents() { return state.documents; },
+        get requests() { return state.requests; },
+        get contacts() { return state.contacts; },
+        fail: (rule) => { state.failures.push({ ...rule }); },
+        file: (name, file) => { state.files[name] = file; },
+        reset,
+        close: () => new Promise((r) => {
+          server.closeAllConnections?.();
+          server.close(() => r());
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { startMockAxcelerate, DEFAULT_TOKENS };
+
+/* ----------------- CLI ----------------- */
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const opt = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  startMockAxcelerate({
+    port: Number(opt("port") || process.env.MOCK_AXC_PORT || 8787),
+    fixtures: opt("fixtures"),
+  }).then((mock) => {
+    console.log(`mock aXcelerate listening on ${mock.url}`);
+    console.log(`  AXC_BASE_URL=${mock.url} AXC_API_TOKEN=${mock.apiToken} AXC_WS_TOKEN=${mock.wsToken}`);
+    process.on("SIGINT", () => mock.close().then(() => process.exit(0)));
+  }).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,111 @@
+// dev/replay-webhook.js
+// Replays a recorded ThriveDesk webhook payload, signed the way ThriveDesk
+// signs it (X-TD-Signature: base64(HMAC-SHA1(secret, <raw "data" JSON>)),
+// see netlify/functions/lib/td-signature.js), either over HTTP or straight
+// into a handler in this process.
+//
+//   node dev/replay-webhook.js dev/fixtures/webhooks/outbound-email.json
+//     [--url http://localhost:8888/.netlify/functions/add-contact-note]
+//     [--local add-contact-note]       invoke netlify/functions/<name>.js instead of POSTing
+//     [--secret …]                     defaults to TD_WEBHOOK_SECRET
+//     [--bad-signature] [--unsigned]   for exercising the rejection paths
+//     [--set data.contactInfo.email=someone@example.com]   override a field (repeatable)
+//
+// The file is sent byte-for-byte unless --set is used, so a payload saved
+// from a real delivery keeps its exact "data" text.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { extractRawData } = require("../netlify/functions/lib/td-signature");
+
+const DEFAULT_URL = "http://localhost:8888/.netlify/functions/add-contact-note";
+const FUNCTIONS_DIR = path.join(__dirname, "..", "netlify", "functions");
+
+// Signature for a raw body, or null when it has no top-level "data" object.
+function signPayload(body, secret) {
+  const raw = extractRawData(body);
+  if (raw == null) return null;
+  return crypto.createHmac("sha1", secret).update(raw, "utf8").digest("base64");
+}
+
+function setPath(obj, dotted, value) {
+  const keys = dotted.split(".");
+  let target = obj;
+  for (const k of keys.slice(0, -1)) target = target[k] ??= {};
+  target[keys[keys.length - 1]] = value;
+}
+
+// payload: raw JSON text or an object (stringified with two-space indent).
+// Returns { statusCode, headers, body, json } from the handler or HTTP response.
+async function replay(payload, { url = DEFAULT_URL, local, secret = process.env.TD_WEBHOOK_SECRET,
+  badSignature = false, unsigned = false, headers = {} } = {}) {
+  const body = typeof payload === "string" ? payload : JSON.stringify(payload, null, 2);
+
+  const sent = { "Content-Type": "application/json", ...headers };
+  if (!unsigned) {
+    if (!secret) throw new Error("No secret: set TD_WEBHOOK_SECRET or pass --secret (or --unsigned)");
+    const signature = signPayload(body, badSignature ? `${secret}-wrong` : secret);
+    if (!signature) throw new Error('Payload has no top-level "data" object to sign');
+    sent["X-TD-Signature"] = signature;
+  }
+
+  let res;
+  if (local) {
+    const handler = typeof local === "function"
+      ? local
+      : require(path.join(FUNCTIONS_DIR, `${local}.js`)).handler;
+    res = await handler({ httpMethod: "POST", headers: sent, body, isBase64Encoded: false }, {});
+  } else {
+    const r = await fetch(url, { method: "POST", headers: sent, body });
+    res = { statusCode: r.status, headers: Object.fromEntries(r.headers), body: await r.text() };
+  }
+
+  let json = null;
+  try { json = JSON.parse(res.body); } catch { /* not JSON */ }
+  return { ...res, json };
+}
+
+module.exports = { signPayload, replay, DEFAULT_URL };
+
+/* ----------------- CLI ----------------- */
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const files = [];
+  const options = {};
+  const overrides = [];
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === "--url") options.url = args[++i];
+    else if (a === "--local") options.local = args[++i];
+    else if (a === "--secret") options.secret = args[++i];
+    else if (a === "--bad-signature") options.badSignature = true;
+    else if (a === "--unsigned") options.unsigned = true;
+    else if (a === "--set") overrides.push(args[++i]);
+    else files.push(a);
+  }
+  if (!files.length) {
+    console.error("usage: node dev/replay-webhook.js <payload.json>… [--url …] [--local <function>] [--secret …]");
+    process.exit(2);
+  }
+
+  (async () => {
+    for (const file of files) {
+      let payload = fs.readFileSync(file, "utf8");
+      if (overrides.length) {
+        const obj = JSON.parse(payload);
+        for (const o of overrides) {
+          const eq = o.indexOf("=");
+          setPath(obj, o.slice(0, eq), o.slice(eq + 1));
+        }
+        payload = obj;
+      }
+      const res = await replay(payload, options);
+      console.log(`${path.basename(file)} -> ${res.statusCode}`);
+      console.log(res.json ? JSON.stringify(res.json, null, 2) : res.body);
+    }
+  })().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,88 @@
+// netlify/functions/add-contact-note-background.js
+// Background half of the ThriveDesk webhook (Netlify runs "-background"
+// functions asynchronously, for up to 15 minutes): resolves the contact and
+// writes the note for a job queued by add-contact-note, then records the
+// outcome on the job (lib/webhook-jobs.js). Failed writes become dead letters
+// exactly as they do when the webhook processes inline.
+//
+// Only called by add-contact-note:
+//   POST { "jobId", "token", "payload": "<raw webhook body>", "signature": "<its X-TD-Signature>" }
+// The signature was checked when the job was queued; the one-time job token
+// stands in for it here. When the job can't be claimed (unknown job, wrong
+// token) the webhook has already been answered 202, so rather than dropping
+// it the payload is kept as a dead letter ("job_claim_failed") - provided
+// its forwarded signature still verifies. Likewise a job whose processing
+// throws is kept as a dead letter ("job_failed"): nobody will redeliver it.
+const { connectStores } = require("./lib/store");
+const { createLogger, withRequest } = require("./lib/log");
+const { missingAxcEnv } = require("./lib/axc");
+const { processNoteEvent, deadLetterEvent } = require("./lib/note-webhook");
+const { DEFAULT_TENANT, getTenant, routeWebhook } = require("./lib/tenants");
+const { claimJob, finishJob } = require("./lib/webhook-jobs");
+
+const log = createLogger("add-contact-note-background");
+
+// Netlify answers the caller with 202 itself; these responses only show up
+// in logs and when the function is invoked directly (tests, local dev).
+const json = (statusCode, data) => ({ statusCode, body: JSON.stringify(data) });
+
+// A job that couldn't be claimed: dead-letter the webhook if it is genuine.
+async function deadLetterUnclaimed(body, claim) {
+  let payload;
+  try { payload = JSON.parse(body.payload); } catch { return null; }
+  const route = routeWebhook({ headers: { "x-td-signature": body.signature || "" }, body: body.payload }, payload);
+  const verified = route.signature.ok || route.signature.reason === "not_configured";
+  if (!verified || !route.tenant) {
+    log.warn("unclaimed_job_unverified", { jobId: body.jobId ?? null, reason: route.signature.reason ?? "unknown tenant" });
+    return null;
+  }
+  return deadLetterEvent(payload, "job_claim_failed", { jobId: body.jobId ?? null, error: claim.error }, route.tenant);
+}
+
+// A claimed job whose processing threw. Never throws itself: the job is
+// still marked failed if the dead letter can't be written.
+async function deadLetterFailed(body, job, err, tenant) {
+  try {
+    const details = { jobId: job.id, error: String(err?.message || err) };
+    return await deadLetterEvent(JSON.parse(body.payload), "job_failed", details, tenant || undefined);
+  } catch (dlErr) {
+    log.error("job_dead_letter_failed", { jobId: job.id, error: dlErr });
+    return null;
+  }
+}
+
+exports.handler = withRequest("add-contact-note-background", async (event) => {
+  connectStores(event);
+  if (event.httpMethod !== "POST") return json(405, { error: "Use POST with JSON" });
+
+  let body;
+  try { body = JSON.parse(event.body || "{}"); }
+  catch { return json(400, { error: "Body must be JSON" }); }
+
+  const claim = await claimJob(body.jobId, body.token);
+  if (!claim.ok) {
+    // 409: the job exists and has already run (or is running); nothing is lost
+    const deadLetterId = claim.statusCode === 409 ? null : await deadLetterUnclaimed(body, claim);
+    log.warn("job_rejected", { jobId: body.jobId ?? null, reason: claim.error, deadLetterId });
+    return json(claim.statusCode, { error: claim.error, ...(deadLetterId ? { deadLetterId } : {}) });
+  }
+  const { job } = claim;
+
+  let result;
+  // The tenant was settled when the job was queued
+  const tenant = getTenant(job.tenant || DEFAULT_TENANT);
+  try {
+    if (!tenant) throw new Error(`Unknown tenant "${job.tenant}"`);
+    const missing = missingAxcEnv(tenant.axc);
+    if (missing.length) throw new Error(`Missing aXcelerate env vars: ${missing.join(", ")}`);
+    result = await processNoteEvent(JSON.parse(body.payload), tenant);
+  } catch (err) {
+    const deadLetterId = await deadLetterFailed(body, job, err, tenant);
+    log.error("job_failed", { jobId: job.id, error: err, deadLetterId });
+    await finishJob(job, { error: err, deadLetterId });
+    return json(500, { error: String(err?.message || err), jobId: job.id, ...(deadLetterId ? { deadLetterId } : {}) });
+  }
+
+  await finishJob(job, result);
+  return json(result.statusCode, { jobId: job.id, ...result.body });
+});
@@ -6,65 +6,171 @@
 //   AXC_BASE_URL   e.g. https://vetnurse.app.axcelerate.com
 //   AXC_API_TOKEN
 //   AXC_WS_TOKEN
+//   AXC_PORTAL_URL optional, for axcelerateContactUrl (default AXC_BASE_URL)
+// (fallback names, timeout and retry settings: see lib/axc.js)
+//
+// Access (every request must pass one of these before aXcelerate is called):
+//   LOOKUP_API_KEYS        server-to-server keys, "name:key,…" (see lib/auth.js);
+//                          sent as "Authorization: Bearer <key>" or "x-api-key"
+//   LOOKUP_TOKEN_SECRET    secret(s) for signed links: &token=…&expires=<unix secs>,
+//                          token = base64url(HMAC-SHA256(secret, email.toLowerCase() + "." + expires))
+//   LOOKUP_TOKEN_MAX_TTL   max seconds a token may still be valid for (default 3600)
+//   LOOKUP_ALLOWED_ORIGINS comma-separated browser origins allowed to call this
+//                          (CORS); requests from any other Origin get 403
+//
+// Abuse protection:
+//   Requests are rate limited per client IP (before authentication) and per caller,
+//   see lib/rate-limit.js (LOOKUP_RATE_LIMIT_IP, LOOKUP_RATE_LIMITS); over the limit
+//   -> 429 with Retry-After. Found, not-found and ambiguous lookups all answer 200
+//   with the same fields (null / empty without a contact) and the same X-Cache
+//   parts; no-contact results are cached like found ones (lib/lookup-cache.js),
+//   and every GET answer takes at least LOOKUP_MIN_RESPONSE_MS (default 300), so
+//   neither the status, the shape, the headers nor a fast reply gives away
+//   whether an email is on file. Every lookup, batch ones
+//   included, is written to the audit trail (lib/lookup-audit.js, reviewed through
+//   the lookup-audit function).
+//
+// With TENANTS (lib/tenants.js) the keys and token secrets are each tenant's
+// lookupKeys / lookupTokenSecrets, and the one a request passes with decides
+// which tenant's aXcelerate instance it is looked up in.
 //
 // Query:
-//   ?email=<urlencoded email>[&debug=1]
+//   ?email=<urlencoded email>[&profile=sidebar|full|audit][&include=progress][&fresh=1][&debug=1][&token=…&expires=…]
+//    [&type=program,unit,workshop][&status=active,completed,withdrawn,lapsed][&view=timeline]
+//   profile           output profile (see lib/profiles.js); must be allowed for the
+//                     caller via LOOKUP_PROFILES, defaults to the caller's first one
+//   include=progress  also fetch each current program's enrolment detail and its
+//                     unit/activity rows (one extra aXcelerate call per program) and
+//                     fill in expectedCompletionDate, unitsCompleted, unitsTotal and
+//                     lastActivityDate on currentQualifications
+//   fresh=1           skip the lookup cache (lib/lookup-cache.js) and refill it;
+//                     responses carry X-Cache: HIT | MISS | PARTIAL | BYPASS | OFF
+//   type / status     add an `enrolments` list of every enrolment of those types
+//                     (default all) whose derived status is in the set (default all);
+//                     each row carries enrolmentType and derivedStatus
+//   view=timeline     return that list as `timeline` instead, oldest first by
+//                     enrolment/start date, plus `qualifications`: each program with
+//                     its derived status and unit counts
+// Derived statuses and the rule for currentQualifications are configured in
+// lib/enrolment-status.js (ENROLMENT_STATUS_MAP, ENROLMENT_CURRENT_STATUSES,
+// ENROLMENT_LAPSE_AFTER_DAYS).
 //
-// Response shape:
+// Response shape (field sets depend on the profile):
 // {
-//   contact: <FULL aX contact object>,
-//   contactSummary: {...small subset...},     // convenience only
-//   currentQualifications: [ { summary fields… } ],
-//   programEnrolments: [ <FULL program enrolment objects> ],
-//   axcelerateContactUrl: "https://.../Contact_View.cfm?ContactID=...",
+//   profile: "sidebar" | "full" | "audit",
+//   contact: <aX contact object, projected by profile>,
+//   contactSummary?: {...small subset...},    // convenience only (full/audit)
+//   currentQualifications: [ { summary fields…, (with include=progress:)
+//     expectedCompletionDate, unitsCompleted, unitsTotal, lastActivityDate, progressError? } ],
+//   programEnrolments: [ <program enrolment objects, projected by profile> ],
+//   enrolments?: [ <enrolment rows or summaries> + enrolmentType, derivedStatus ],   // type/status
+//   timeline?: [ { date, …the same fields } ],                                       // view=timeline
+//   qualifications?: [ { ENROLID, CODE, NAME, STATUS, derivedStatus, current,
+//     ENROLMENTDATE, STARTDATE, FINISHDATE, expectedEndDate, unitsTotal, unitsCompleted } ],
+//   axcelerateContactUrl: "https://.../Contact_View.cfm?ContactID=..." | null,
+//   match: {                                   // how the email was matched (see lib/axc.js)
+//     confidence: "exact_primary" | "exact_alternate" | "exact_personal" | "fuzzy" | null,
+//     ambiguous, policy, contactIDs: [...], rejected: [ { CONTACTID, confidence, reason } ], truncated
+//   },
+//   truncated: true | false,                  // a search or the enrolment list hit AXC_MAX_ITEMS
 //   _debug?: { tried: [...], usedUrls: [...], envSeen: {...} }
 // }
+//
+// Batch (POST, API key only):
+//   { "emails": ["a@x.com", …], "profile"?: "…", "include"?: "progress", "format"?: "ndjson", "fresh"?: true,
+//     "type"?, "status"?, "view"? }     // as the query params
+//   Emails are trimmed, lowercased and de-duplicated, then looked up
+//   LOOKUP_BATCH_CONCURRENCY at a time (default 4, at most LOOKUP_BATCH_MAX = 500 per request).
+//   Lookups still running after LOOKUP_BATCH_DEADLINE_MS (default 8000) come back as "timeout".
+//   -> { profile, count, duplicates, summary: { found, not_found, … }, results: [
+//        { email, status: "found" | "not_found" | "ambiguous" | "invalid" | "error" | "timeout",
+//          …single-lookup fields (found/not_found/ambiguous) | error, code, upstreamStatus } ] }
+//   With format=ndjson (or Accept: application/x-ndjson) each result is one line,
+//   written as it completes, followed by { done: true, count, duplicates, summary }.
+
+const { AxcError, missingAxcEnv, createAxcClient, resolveContactByEmail } = require("./lib/axc");
+const { header, splitList, originAllowed } = require("./lib/auth");
+const { tenantForApiKey, tenantForLookupToken, tenantAxcOptions } = require("./lib/tenants");
+const { selectProfile, project, projectEnrolments } = require("./lib/profiles");
+const {
+  ENROLMENT_TYPES, enrolmentType, derivedStatus, isCurrent, expectedEnd, parseTypes, parseStatuses,
+} = require("./lib/enrolment-status");
+const cache = require("./lib/lookup-cache");
+const { createRateLimiter, clientIp } = require("./lib/rate-limit");
+const { recordLookup } = require("./lib/lookup-audit");
+const { connectStores } = require("./lib/store");
+const { createLogger, withRequest } = require("./lib/log");
 
-const ALLOWED_ORIGINS = ["*"];
+const ALLOWED_ORIGINS = splitList(process.env.LOOKUP_ALLOWED_ORIGINS);
+const TOKEN_MAX_TTL = Number(process.env.LOOKUP_TOKEN_MAX_TTL || 3600);
+const MIN_RESPONSE_MS = Number(process.env.LOOKUP_MIN_RESPONSE_MS ?? 300);
 
-// ---- ENV handling (with fallbacks, just in case) ----
-const AXC_BASE_URL =
-  (process.env.AXC_BASE_URL || process.env.AXC_BASE || process.env.AXC_BASEURL || "").trim();
-const AXC_API_TOKEN =
-  (process.env.AXC_API_TOKEN || process.env.apitoken || process.env.AXC_APITOKEN || "").trim();
-const AXC_WS_TOKEN =
-  (process.env.AXC_WS_TOKEN || process.env.wstoken || process.env.AXC_WSTOKEN || "").trim();
+const limiter = createRateLimiter();
+
+const log = createLogger("contact-and-enrolments");
 
 const baseHeaders = {
   "Content-Type": "application/json; charset=utf-8",
 };
 
-function withCors(h) {
+// Allow-Origin is only sent back for origins on the allow-list.
+function withCors(h, origin) {
+  const allowed = origin && originAllowed(origin, ALLOWED_ORIGINS);
   return {
     ...h,
-    "Access-Control-Allow-Origin": ALLOWED_ORIGINS[0],
-    "Access-Control-Allow-Methods": "GET, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    ...(allowed ? { "Access-Control-Allow-Origin": origin } : {}),
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Api-Key",
+    "Access-Control-Expose-Headers": "X-Cache, X-Cache-Detail, X-Correlation-Id, Retry-After",
     "Cache-Control": "no-store",
+    Vary: "Origin",
   };
 }
 
-const ok = (data) => ({ statusCode: 200, headers: withCors(baseHeaders), body: JSON.stringify(data) });
-const bad = (code, msg, extra = {}) => ({
-  statusCode: code,
-  headers: withCors(baseHeaders),
-  body: JSON.stringify({ error: msg, ...extra }),
-});
+function responders(origin) {
+  return {
+    ok: (data) => ({ statusCode: 200, headers: withCors(baseHeaders, origin), body: JSON.stringify(data) }),
+    bad: (code, msg, extra = {}) => ({
+      statusCode: code,
+      headers: withCors(baseHeaders, origin),
+      body: JSON.stringify({ error: msg, ...extra }),
+    }),
+    // rate: a failed limiter.take(); scope: "ip" | "caller"
+    limited: (rate, scope) => ({
+      statusCode: 429,
+      headers: withCors({ ...baseHeaders, "Retry-After": String(rate.retryAfter) }, origin),
+      body: JSON.stringify({ error: "Too many requests", limit: scope, retryAfter: rate.retryAfter }),
+    }),
+  };
+}
 
-function assertEnv() {
-  const missing = [];
-  if (!AXC_BASE_URL) missing.push("AXC_BASE_URL");
-  if (!AXC_API_TOKEN) missing.push("AXC_API_TOKEN");
-  if (!AXC_WS_TOKEN) missing.push("AXC_WS_TOKEN");
-  if (missing.length) throw new Error(`Missing environment variables: ${missing.join(", ")}`);
+// Holds a response back until `ms` after `startedAt`, so quick answers (a
+// cache hit, an email with no contact) can't be told apart by their timing.
+async function padResponse(startedAt, ms = MIN_RESPONSE_MS) {
+  const wait = startedAt + ms - Date.now();
+  if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
 }
 
-function apiHeaders() {
-  return { apitoken: AXC_API_TOKEN, wstoken: AXC_WS_TOKEN };
+function auditOutcome(payload) {
+  return payload.contact ? "found" : payload.match.ambiguous ? "ambiguous" : "not_found";
 }
 
-function isEmailEqual(a, b) {
-  return (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+// Signed link if a token is present, otherwise an API key.
+// Returns { ok: true, caller, tenant } or { ok: false, statusCode, error }.
+function authorize(event, email) {
+  const { token, expires } = event.queryStringParameters || {};
+  if (token || expires) return tenantForLookupToken({ token, expires, email }, TOKEN_MAX_TTL);
+  return tenantForApiKey(event, "lookupKeys");
+}
+
+function assertEnv(tenant) {
+  const missing = missingAxcEnv(tenant.axc);
+  if (missing.length) throw new Error(`Missing environment variables: ${missing.join(", ")}`);
+}
+
+function envSeen(tenant) {
+  const { axc } = tenant;
+  return { tenant: tenant.id, has_BASE_URL: !!axc.baseUrl, has_API_TOKEN: !!axc.apiToken, has_WS_TOKEN: !!axc.wsToken };
 }
 
 function dedupeByEnrolId(items) {
@@ -87,132 +193,581 @@ function programSummary(e) {
     STARTDATE: e.STARTDATE ?? null,
     FINISHDATE: e.FINISHDATE ?? null, // stays null until completion/withdrawal
     AMOUNTPAID: e.AMOUNTPAID ?? null,
-    // Expected completion is not exposed by this list endpoint.
+    // Expected completion is not exposed by this list endpoint; see ?include=progress.
     expectedCompletionDate: null,
   };
 }
 
-function isCurrentStatus(status) {
-  if (!status) return false;
-  const s = String(status).toLowerCase();
-  const notCurrent = ["withdrawn", "cancelled", "deleted", "completed", "finished"];
-  return !notCurrent.includes(s);
+// Any enrolment row (program, unit or workshop), for the sidebar-style profiles.
+function enrolmentSummary(e) {
+  return {
+    ENROLID: e.ENROLID ?? null,
+    PARENTENROLID: e.PARENTENROLID ?? null,
+    INSTANCEID: e.INSTANCEID ?? null,
+    CODE: e.CODE ?? null,
+    NAME: e.NAME ?? null,
+    STATUS: e.STATUS ?? null,
+    ENROLMENTDATE: e.ENROLMENTDATE ?? null,
+    STARTDATE: e.STARTDATE ?? null,
+    FINISHDATE: e.FINISHDATE ?? null,
+  };
+}
+
+/* ----------------- progress (?include=progress) ----------------- */
+// AVETMISS outcome identifiers that count as a finished unit:
+// 20 competency achieved/pass, 51 RPL granted, 60 credit transfer.
+const COMPLETED_OUTCOMES = ["20", "51", "60"];
+const COMPLETED_STATUSES = ["completed", "complete", "competent", "passed", "pass", "credit transfer", "rpl granted"];
+
+const firstOf = (obj, keys) => keys.map((k) => obj?.[k]).find((v) => v != null && v !== "") ?? null;
+
+function isUnitCompleted(u) {
+  const outcome = String(firstOf(u, ["OUTCOMECODE", "OUTCOMEID", "OUTCOME"]) ?? "").trim();
+  if (COMPLETED_OUTCOMES.includes(outcome)) return true;
+  return COMPLETED_STATUSES.includes(String(u?.STATUS || "").trim().toLowerCase());
 }
 
-exports.handler = async (event) => {
-  if (event.httpMethod === "OPTIONS") {
-    return { statusCode: 204, headers: withCors({}), body: "" };
+function latestDate(values) {
+  let best = null, bestT = -Infinity;
+  for (const v of values) {
+    const t = v ? Date.parse(v) : NaN;
+    if (Number.isFinite(t) && t > bestT) { best = v; bestT = t; }
   }
+  return best;
+}
+
+// Unit ('s') and workshop/activity ('w') rows from the enrolments list that
+// belong to this program, for when the detail call doesn't list them.
+function unitRowsFor(program, rows) {
+  const ids = [program.ENROLID, program.INSTANCEID].filter((v) => v != null).map(String);
+  return rows.filter((r) => {
+    const type = r.TYPE || r.type;
+    if (type !== "s" && type !== "w") return false;
+    const parent = firstOf(r, ["PARENTENROLID", "PROGRAMENROLID", "PDATAID", "PARENTINSTANCEID"]);
+    return parent != null && ids.includes(String(parent));
+  });
+}
 
+async function programProgress(axc, contactID, program, allRows) {
+  // A 4xx on the detail call still leaves the list rows to count units from.
+  let detail = null;
   try {
-    assertEnv();
+    detail = await axc.get(
+      `/api/course/enrolment?contactID=${encodeURIComponent(String(contactID))}` +
+      `&instanceID=${encodeURIComponent(String(program.INSTANCEID))}&type=p`
+    );
   } catch (err) {
-    return bad(500, err.message);
+    if (!(err instanceof AxcError) || err.retryable || err.code !== "http") throw err;
   }
+  const d = Array.isArray(detail) ? detail[0] || {} : detail || {};
+  const listed = firstOf(d, ["UNITS", "ACTIVITIES", "ENROLMENTS"]);
+  const units = Array.isArray(listed) ? listed : unitRowsFor(program, allRows);
 
-  const { email, debug } = event.queryStringParameters || {};
-  if (!email) return bad(400, 'Query param "email" is required, e.g. ?email=someone%40example.com');
+  return {
+    expectedCompletionDate: firstOf(d, ["EXPECTEDCOMPLETIONDATE", "EXPECTEDENDDATE", "EXPECTEDFINISHDATE"]) ??
+      firstOf(program, ["EXPECTEDCOMPLETIONDATE", "EXPECTEDENDDATE"]),
+    unitsCompleted: units.filter(isUnitCompleted).length,
+    unitsTotal: units.length,
+    lastActivityDate: latestDate([
+      ...units.flatMap((u) => [u.LASTUPDATED, u.ACTIVITYDATE, u.FINISHDATE, u.STARTDATE]),
+      d.LASTUPDATED, d.LASTACTIVITYDATE,
+    ]),
+  };
+}
 
-  const base = AXC_BASE_URL.replace(/\/+$/, "");
-  const tried = [];
-  const usedUrls = [];
-
-  async function axc(pathWithQuery) {
-    const url = `${base}${pathWithQuery}`;
-    tried.push({ type: "GET", url });
-    const res = await fetch(url, { headers: apiHeaders() });
-    if (!res.ok) {
-      const text = await res.text().catch(() => "");
-      throw new Error(`aXcelerate ${res.status} for ${url} :: ${text.slice(0, 300)}`);
+// Progress failures are reported per qualification rather than failing the lookup.
+async function withProgress(axc, contactID, summaries, programs, allRows) {
+  return Promise.all(summaries.map(async (summary) => {
+    const program = programs.find((p) => p.ENROLID === summary.ENROLID) || summary;
+    try {
+      return { ...summary, ...(await programProgress(axc, contactID, program, allRows)) };
+    } catch (err) {
+      if (!(err instanceof AxcError)) throw err;
+      return { ...summary, unitsCompleted: null, unitsTotal: null, lastActivityDate: null, progressError: err.message };
     }
-    usedUrls.push(url);
-    const txt = await res.text();
-    return txt ? JSON.parse(txt) : null;
+  }));
+}
+
+/* ----------------- enrolment views (?type= / ?status= / view=timeline) ----------------- */
+// Query params (or batch body fields) -> { ok: true, filters } | { ok: false, error };
+// filters is null when none of them was given.
+function enrolmentFilters({ type, status, view }) {
+  const list = (v) => (Array.isArray(v) ? v.join(",") : v);
+  if (!list(type) && !list(status) && !view) return { ok: true, filters: null };
+  const types = parseTypes(list(type));
+  if (!types.ok) return types;
+  const statuses = parseStatuses(list(status));
+  if (!statuses.ok) return statuses;
+  const v = String(view || "").trim().toLowerCase();
+  if (v && v !== "timeline") return { ok: false, error: `Unknown view "${v}"; use "timeline"` };
+  return {
+    ok: true,
+    filters: {
+      types: types.types.length ? types.types : Object.values(ENROLMENT_TYPES),
+      statuses: statuses.statuses,
+      timeline: v === "timeline",
+    },
+  };
+}
+
+const rowDate = (e) => firstOf(e, ["ENROLMENTDATE", "STARTDATE", "FINISHDATE"]);
+
+// Oldest first; undated rows go last, in list order.
+function byDate(a, b) {
+  const ta = Date.parse(a.date || ""), tb = Date.parse(b.date || "");
+  if (Number.isFinite(ta) && Number.isFinite(tb)) return ta - tb;
+  return Number.isFinite(ta) ? -1 : Number.isFinite(tb) ? 1 : 0;
+}
+
+function qualificationOf(program, rows, now) {
+  const units = unitRowsFor(program, rows).filter((r) => enrolmentType(r) === "unit");
+  return {
+    ENROLID: program.ENROLID ?? null,
+    INSTANCEID: program.INSTANCEID ?? null,
+    CODE: program.CODE ?? null,
+    NAME: program.NAME ?? null,
+    STATUS: program.STATUS ?? null,
+    derivedStatus: derivedStatus(program, now),
+    current: isCurrent(program, now),
+    ENROLMENTDATE: program.ENROLMENTDATE ?? null,
+    STARTDATE: program.STARTDATE ?? null,
+    FINISHDATE: program.FINISHDATE ?? null,
+    expectedEndDate: expectedEnd(program),
+    unitsTotal: units.length,
+    unitsCompleted: units.filter(isUnitCompleted).length,
+  };
+}
+
+// The enrolments list, or timeline + qualifications, for the response.
+function enrolmentViews(profile, rows, filters) {
+  const now = Date.now();
+  const unique = dedupeByEnrolId(rows);
+  const statusOk = (e) => !filters.statuses.length || filters.statuses.includes(derivedStatus(e, now));
+  const selected = unique.filter((e) => filters.types.includes(enrolmentType(e)) && statusOk(e));
+  const listed = projectEnrolments(profile, selected, enrolmentSummary).map((e, i) => ({
+    ...e,
+    enrolmentType: enrolmentType(selected[i]),
+    derivedStatus: derivedStatus(selected[i], now),
+  }));
+  if (!filters.timeline) return { enrolments: listed };
+  return {
+    timeline: listed.map((e, i) => ({ date: rowDate(selected[i]), ...e })).sort(byDate),
+    qualifications: unique
+      .filter((e) => enrolmentType(e) === "program" && statusOk(e))
+      .map((program) => qualificationOf(program, rows, now)),
+  };
+}
+
+/* ----------------- lookup ----------------- */
+// The contact match and enrolment list go through lib/lookup-cache.js unless
+// `fresh` is set; status reports "hit" | "miss" | "bypass" (or "off") per part.
+async function cached(part, fresh, status, read, load, store) {
+  if (!cache.enabled()) { status[part] = "off"; return load(); }
+  if (!fresh) {
+    const hit = await read();
+    if (hit) { status[part] = "hit"; return hit; }
   }
+  status[part] = fresh ? "bypass" : "miss";
+  const value = await load();
+  await store(value);
+  return value;
+}
+
+// Contact + enrolments for one email, projected through the profile.
+// Returns { payload, cache: { contact, enrolments? } }; throws AxcError on upstream failures.
+async function lookupEmail(axc, email, { profile, includes, fresh = false, filters = null }) {
+  const cacheStatus = {};
+
+  // 1) Contact lookup — shared resolver (exact EMAILADDRESS / ALT / PERSONAL, then fuzzy).
+  //    Ambiguous lookups follow AXC_MATCH_POLICY; under all_exact the newest contact is shown.
+  const resolved = await cached("contact", fresh, cacheStatus,
+    () => cache.getContactMatch(email, axc.tenantId),
+    () => resolveContactByEmail(axc, email),
+    (value) => cache.setContactMatch(email, value, axc.tenantId));
+  const { contact } = resolved;
+  const match = {
+    confidence: resolved.confidence,
+    ambiguous: resolved.ambiguous,
+    policy: resolved.policy,
+    contactIDs: resolved.contacts.map((c) => c.CONTACTID),
+    rejected: resolved.rejected,
+    truncated: resolved.truncated,
+  };
+  if (!contact) {
+    // The same fields and cache parts a found contact gets, empty
+    cacheStatus.enrolments = cacheStatus.contact;
+    const projected = project(profile, { contact: null, contactSummary: null, programEnrolments: [], programSummaries: [] });
+    const payload = {
+      profile,
+      contact: null,
+      ...("contactSummary" in projected ? { contactSummary: null } : {}),
+      currentQualifications: [],
+      programEnrolments: [],
+      ...(filters ? enrolmentViews(profile, [], filters) : {}),
+      axcelerateContactUrl: null,
+      match,
+      truncated: resolved.truncated,
+    };
+    return { payload, cache: cacheStatus };
+  }
+
+  // 2) Enrolments (all pages, up to AXC_MAX_ITEMS), filter to program TYPE 'p', de-dupe
+  const enrolmentPages = await cached("enrolments", fresh, cacheStatus,
+    () => cache.getEnrolments(contact.CONTACTID, axc.tenantId),
+    () => axc.collect(
+      `/api/course/enrolments?contactID=${encodeURIComponent(String(contact.CONTACTID))}`,
+      { sizeParam: "limit" }
+    ),
+    (value) => cache.setEnrolments(contact.CONTACTID, value, axc.tenantId));
+  const enrolments = enrolmentPages.items;
+  const programRows = enrolments.filter((e) => (e.TYPE || e.type) === "p");
+  const programUnique = dedupeByEnrolId(programRows);
+
+  // Small summary & current filtering
+  let currentQualifications = programUnique.filter((e) => isCurrent(e)).map(programSummary);
+  if (includes.includes("progress")) {
+    currentQualifications = await withProgress(axc, contact.CONTACTID, currentQualifications, programUnique, enrolments);
+  }
+
+  // 3) Direct link into aXcelerate UI
+  const axcelerateContactUrl =
+    `${axc.portalUrl}/management/management2/Contact_View.cfm?ContactID=${encodeURIComponent(String(contact.CONTACTID))}`;
+
+  // Small contact subset (the whole contact under the sidebar profile)
+  const contactSummary = {
+    CONTACTID: contact.CONTACTID,
+    GIVENNAME: contact.GIVENNAME,
+    SURNAME: contact.SURNAME,
+    EMAILADDRESS: contact.EMAILADDRESS || contact.CUSTOMFIELD_PERSONALEMAIL || contact.EMAILADDRESSALTERNATIVE || null,
+    MOBILEPHONE: contact.MOBILEPHONE ?? null,
+    PHONE: contact.PHONE ?? null,
+    WORKPHONE: contact.WORKPHONE ?? null,
+    ADDRESS1: contact.ADDRESS1 ?? null,
+    ADDRESS2: contact.ADDRESS2 ?? null,
+    CITY: contact.CITY ?? null,
+    STATE: contact.STATE ?? null,
+    POSTCODE: contact.POSTCODE ?? null,
+    COUNTRY: contact.COUNTRY ?? contact.SCOUNTRY ?? null,
+    CONTACT_LINK: axcelerateContactUrl,
+  };
+
+  // 4) Project everything through the caller's output profile
+  const projected = project(profile, {
+    contact,
+    contactSummary,
+    programEnrolments: programUnique,
+    programSummaries: programUnique.map(programSummary),
+    currentQualifications,
+  });
+
+  const payload = {
+    profile,
+    contact: projected.contact,      // contact fields allowed by the profile
+    ...(projected.contactSummary ? { contactSummary: projected.contactSummary } : {}),
+    currentQualifications: projected.currentQualifications,  // tidy summary of program enrolments
+    programEnrolments: projected.programEnrolments,
+    ...(filters ? enrolmentViews(profile, enrolments, filters) : {}),
+    axcelerateContactUrl,
+    match,
+    // true when a contact search or the enrolment list hit AXC_MAX_ITEMS
+    truncated: resolved.truncated || enrolmentPages.truncated,
+  };
+  return { payload, cache: cacheStatus };
+}
+
+// X-Cache: HIT when every part came from the cache, MISS when none did,
+// PARTIAL otherwise, BYPASS for ?fresh=1; X-Cache-Detail lists the parts.
+function cacheHeaders(status) {
+  const parts = Object.values(status);
+  const value = !cache.enabled() ? "OFF"
+    : parts.includes("bypass") ? "BYPASS"
+    : parts.every((p) => p === "hit") ? "HIT"
+    : parts.some((p) => p === "hit") ? "PARTIAL"
+    : "MISS";
+  return {
+    "X-Cache": value,
+    "X-Cache-Detail": Object.entries(status).map(([k, v]) => `${k}=${v}`).join("; "),
+  };
+}
 
+/* ----------------- batch (POST) ----------------- */
+const BATCH_MAX = Number(process.env.LOOKUP_BATCH_MAX || 500);
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.LOOKUP_BATCH_CONCURRENCY || 4));
+const BATCH_DEADLINE_MS = Number(process.env.LOOKUP_BATCH_DEADLINE_MS || 8000);
+
+const looksLikeEmail = (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s);
+
+// Unique, normalised emails in request order, plus how many repeats were dropped.
+function uniqueEmails(list) {
+  const seen = new Set();
+  for (const raw of list) seen.add(String(raw ?? "").trim().toLowerCase());
+  return { emails: [...seen], duplicates: list.length - seen.size };
+}
+
+// Runs worker over items with at most `limit` in flight, calling onResult as
+// each finishes. Items not started by the deadline are reported as timeouts,
+// and so are those still running when it passes.
+async function runBatch(items, limit, deadlineMs, worker, onResult) {
+  let next = 0;
+  let expired = false;
+  const done = new Set();
+  const report = (i, result) => {
+    if (done.has(i)) return;
+    done.add(i);
+    onResult(i, result);
+  };
+
+  const lane = async () => {
+    while (!expired && next < items.length) {
+      const i = next++;
+      report(i, await worker(items[i]));
+    }
+  };
+  let timer;
+  const deadline = new Promise((resolve) => { timer = setTimeout(resolve, deadlineMs); });
+  await Promise.race([
+    Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane)),
+    deadline.then(() => { expired = true; }),
+  ]);
+  clearTimeout(timer);
+  items.forEach((item, i) => report(i, { email: item, status: "timeout", error: `Not finished within ${deadlineMs}ms` }));
+}
+
+// audit: the recordLookup fields shared by the whole batch
+// Any failure is reported as that email's "error", so one bad email doesn't
+// fail the rest of the batch.
+async function lookupBatchEmail(email, tenant, audit, options) {
+  if (!looksLikeEmail(email)) return { email, status: "invalid", error: "Not an email address" };
+  const axc = createAxcClient(tenantAxcOptions(tenant));
   try {
-    // 1) Contact lookup — try exact email param first, then broader 'search'
-    let contacts = await axc(`/api/contacts/search?emailAddress=${encodeURIComponent(email)}&displayLength=100`);
-    if (!Array.isArray(contacts) || contacts.length === 0) {
-      contacts = await axc(`/api/contacts/search?search=${encodeURIComponent(email)}&displayLength=100`);
+    const { payload } = await lookupEmail(axc, email, options);
+    const status = auditOutcome(payload);
+    await recordLookup({ ...audit, email, outcome: status, contactIDs: payload.match.contactIDs });
+    return { email, status, ...payload };
+  } catch (err) {
+    await recordLookup({ ...audit, email, outcome: "error" });
+    if (!(err instanceof AxcError)) {
+      log.error("batch_email_failed", { tenant: tenant.id, caller: audit.caller, email, error: err });
+      return { email, status: "error", error: String(err?.message || err) };
     }
-    if (!Array.isArray(contacts) || contacts.length === 0) {
-      const out = { contact: null, currentQualifications: [], programEnrolments: [] };
-      if (debug) out._debug = { tried, usedUrls, envSeen: {
-        has_BASE_URL: !!AXC_BASE_URL, has_API_TOKEN: !!AXC_API_TOKEN, has_WS_TOKEN: !!AXC_WS_TOKEN } };
-      return ok(out);
+    return { email, status: "error", error: err.message, code: err.code, upstreamStatus: err.status ?? null };
+  }
+}
+
+const BATCH_STATUSES = ["found", "not_found", "ambiguous", "invalid", "error", "timeout"];
+
+function batchSummary(results) {
+  const summary = Object.fromEntries(BATCH_STATUSES.map((s) => [s, 0]));
+  for (const r of results) if (r) summary[r.status]++;
+  return summary;
+}
+
+// Streaming needs the @netlify/functions stream() wrapper (see exports.handler);
+// without it an NDJSON batch is still returned, just all at once.
+let streaming = false;
+
+async function handleBatch(event, origin) {
+  const { bad, limited } = responders(origin);
+
+  let body;
+  try { body = JSON.parse(event.body || "{}"); }
+  catch { return bad(400, "Body must be JSON"); }
+  if (!Array.isArray(body.emails) || !body.emails.length) {
+    return bad(400, 'Body must include a non-empty "emails" array');
+  }
+  if (body.emails.length > BATCH_MAX) return bad(413, `At most ${BATCH_MAX} emails per batch`);
+
+  // Signed tokens cover a single email, so batches need an API key
+  const auth = tenantForApiKey(event, "lookupKeys");
+  if (!auth.ok) return bad(auth.statusCode, auth.error);
+  try {
+    assertEnv(auth.tenant);
+  } catch (err) {
+    return bad(500, err.message);
+  }
+
+  const profile = selectProfile(auth.caller, body.profile);
+  if (!profile.ok) return bad(profile.statusCode, profile.error);
+
+  const include = Array.isArray(body.include) ? body.include.join(",") : body.include;
+  const includes = String(include || "").split(",").map((s) => s.trim().toLowerCase());
+  const views = enrolmentFilters(body);
+  if (!views.ok) return bad(400, views.error);
+  const ndjson = String(body.format || "").toLowerCase() === "ndjson" ||
+    header(event, "accept").includes("application/x-ndjson");
+
+  const { emails, duplicates } = uniqueEmails(body.emails);
+  // Every email is a lookup against the caller's limit
+  const rate = await limiter.caller(auth.tenant.id, auth.caller, emails.length);
+  if (!rate.ok) {
+    log.warn("rate_limited", { scope: "caller", tenant: auth.tenant.id, caller: auth.caller, cost: emails.length });
+    return limited(rate, "caller");
+  }
+
+  const audit = {
+    tenant: auth.tenant.id, caller: auth.caller, via: "api-key", batch: true, ip: clientIp(event), profile: profile.name,
+  };
+  const worker = (email) => lookupBatchEmail(email, auth.tenant, audit, {
+    profile: profile.name, includes, fresh: !!body.fresh, filters: views.filters,
+  });
+  const results = new Array(emails.length);
+  const logCompleted = () => log.info("batch_completed", {
+    tenant: auth.tenant.id, caller: auth.caller, count: emails.length, duplicates, summary: batchSummary(results), ndjson,
+  });
+
+  if (ndjson) {
+    const line = (obj) => `${JSON.stringify(obj)}\n`;
+    const finish = () => line({ done: true, count: emails.length, duplicates, summary: batchSummary(results) });
+    const headers = withCors({ ...baseHeaders, "Content-Type": "application/x-ndjson; charset=utf-8" }, origin);
+
+    if (!streaming) {
+      const lines = [];
+      await runBatch(emails, BATCH_CONCURRENCY, BATCH_DEADLINE_MS, worker, (i, r) => { results[i] = r; lines.push(line(r)); });
+      logCompleted();
+      return { statusCode: 200, headers, body: lines.join("") + finish() };
     }
 
-    // Choose best exact match across EMAILADDRESS / ALT / PERSONAL
-    const contact =
-      contacts.find((c) => isEmailEqual(c.EMAILADDRESS, email)) ||
-      contacts.find((c) => isEmailEqual(c.EMAILADDRESSALTERNATIVE, email)) ||
-      contacts.find((c) => isEmailEqual(c.CUSTOMFIELD_PERSONALEMAIL, email)) ||
-      contacts[0];
-
-    // Keep FULL contact (no stripping)
-    const fullContact = contact;
-
-    // 2) Enrolments (single call), filter to program TYPE 'p', de-dupe
-    const enrolments = await axc(`/api/course/enrolments?contactID=${encodeURIComponent(String(contact.CONTACTID))}&limit=100`);
-    const programRows = Array.isArray(enrolments) ? enrolments.filter((e) => (e.TYPE || e.type) === "p") : [];
-    const programUnique = dedupeByEnrolId(programRows);
-
-    // FULL raw program enrolments
-    const programEnrolments = programUnique;
-
-    // Small summary & current filtering
-    const currentQualifications = programUnique.map(programSummary).filter((e) => isCurrentStatus(e.STATUS));
-
-    // 3) Direct link into aXcelerate UI
-    const portalBase = base.replace(/\/api\/?$/, "");
-    const axcelerateContactUrl =
-      `${portalBase}/management/management2/Contact_View.cfm?ContactID=${encodeURIComponent(String(contact.CONTACTID))}`;
-
-    // Optional small contact subset (you can ignore this and just use `contact.*`)
-    const contactSummary = {
-      CONTACTID: contact.CONTACTID,
-      GIVENNAME: contact.GIVENNAME,
-      SURNAME: contact.SURNAME,
-      EMAILADDRESS: contact.EMAILADDRESS || contact.CUSTOMFIELD_PERSONALEMAIL || contact.EMAILADDRESSALTERNATIVE || null,
-      MOBILEPHONE: contact.MOBILEPHONE ?? null,
-      PHONE: contact.PHONE ?? null,
-      WORKPHONE: contact.WORKPHONE ?? null,
-      ADDRESS1: contact.ADDRESS1 ?? null,
-      ADDRESS2: contact.ADDRESS2 ?? null,
-      CITY: contact.CITY ?? null,
-      STATE: contact.STATE ?? null,
-      POSTCODE: contact.POSTCODE ?? null,
-      COUNTRY: contact.COUNTRY ?? contact.SCOUNTRY ?? null,
-      CONTACT_LINK: axcelerateContactUrl,
-    };
+    // Each result is written as soon as it's ready, in completion order
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+      async start(controller) {
+        try {
+          await runBatch(emails, BATCH_CONCURRENCY, BATCH_DEADLINE_MS, worker, (i, r) => {
+            results[i] = r;
+            controller.enqueue(encoder.encode(line(r)));
+          });
+          controller.enqueue(encoder.encode(finish()));
+          logCompleted();
+        } catch (err) {
+          log.error("batch_stream_failed", { tenant: auth.tenant.id, caller: auth.caller, error: err });
+          controller.enqueue(encoder.encode(line({ done: false, error: String(err?.message || err) })));
+        }
+        controller.close();
+      },
+    });
+    return { statusCode: 200, headers, body: stream };
+  }
 
-    const payload = {
-      contact: fullContact,            // FULL contact object (ALL fields)
-      contactSummary,                  // optional subset for convenience
-      currentQualifications,           // tidy summary of program enrolments
-      programEnrolments,               // FULL program enrolment objects (ALL fields)
-      axcelerateContactUrl,
-    };
+  await runBatch(emails, BATCH_CONCURRENCY, BATCH_DEADLINE_MS, worker, (i, r) => { results[i] = r; });
+  logCompleted();
+  return {
+    statusCode: 200,
+    headers: withCors(baseHeaders, origin),
+    body: JSON.stringify({
+      profile: profile.name, count: emails.length, duplicates, summary: batchSummary(results), results,
+    }),
+  };
+}
+
+/* ----------------- single lookup (GET) ----------------- */
+async function handleLookup(event, origin) {
+  const { ok, bad, limited } = responders(origin);
+  const query = event.queryStringParameters || {};
+  const { email, debug, include, fresh, profile: requestedProfile } = query;
+  const includes = String(include || "").split(",").map((s) => s.trim().toLowerCase());
+  if (!email) return bad(400, 'Query param "email" is required, e.g. ?email=someone%40example.com');
+  const views = enrolmentFilters(query);
+  if (!views.ok) return bad(400, views.error);
 
+  const auth = authorize(event, email);
+  if (!auth.ok) return bad(auth.statusCode, auth.error);
+  const { tenant } = auth;
+  try {
+    assertEnv(tenant);
+  } catch (err) {
+    return bad(500, err.message);
+  }
+
+  const profile = selectProfile(auth.caller, requestedProfile);
+  if (!profile.ok) return bad(profile.statusCode, profile.error);
+
+  const rate = await limiter.caller(tenant.id, auth.caller);
+  if (!rate.ok) {
+    log.warn("rate_limited", { scope: "caller", tenant: tenant.id, caller: auth.caller });
+    return limited(rate, "caller");
+  }
+  const audit = {
+    tenant: tenant.id, caller: auth.caller, via: auth.caller === "signed-token" ? "signed-token" : "api-key",
+    batch: false, ip: clientIp(event), profile: profile.name, email,
+  };
+
+  const axc = createAxcClient(tenantAxcOptions(tenant));
+  const { tried, usedUrls } = axc;
+
+  try {
+    const result = await lookupEmail(axc, email, {
+      profile: profile.name, includes, fresh: fresh === "1" || fresh === "true", filters: views.filters,
+    });
+    const { payload } = result;
+    await recordLookup({ ...audit, outcome: auditOutcome(payload), contactIDs: payload.match.contactIDs });
+    log.info(payload.contact ? "contact_found" : payload.match.ambiguous ? "ambiguous_contact" : "contact_not_found", {
+      tenant: tenant.id, caller: auth.caller, profile: profile.name, email, confidence: payload.match.confidence, cache: result.cache,
+    });
     if (debug) {
       payload._debug = {
         tried,
         usedUrls,
-        envSeen: {
-          has_BASE_URL: !!AXC_BASE_URL,
-          has_API_TOKEN: !!AXC_API_TOKEN,
-          has_WS_TOKEN: !!AXC_WS_TOKEN,
-        },
+        envSeen: envSeen(tenant),
       };
     }
-
-    return ok(payload);
+    const response = ok(payload);
+    response.headers = { ...response.headers, ...cacheHeaders(result.cache) };
+    return response;
   } catch (err) {
-    return bad(500, "Failed to fetch from aXcelerate", {
+    const upstream = err instanceof AxcError;
+    log.error("lookup_failed", { email, error: err });
+    await recordLookup({ ...audit, outcome: "error" });
+    return bad(upstream ? 502 : 500, "Failed to fetch from aXcelerate", {
       details: err.message,
-      ...(debug ? { _debug: { tried, usedUrls, envSeen: {
-        has_BASE_URL: !!AXC_BASE_URL, has_API_TOKEN: !!AXC_API_TOKEN, has_WS_TOKEN: !!AXC_WS_TOKEN } } } : {}),
+      ...(upstream ? { code: err.code, status: err.status } : {}),
+      ...(debug ? { _debug: { tried, usedUrls, envSeen: envSeen(tenant) } } : {}),
     });
   }
-};
+}
+
+/* ----------------- handler ----------------- */
+async function handler(event) {
+  const startedAt = Date.now();
+  const origin = header(event, "origin");
+  const { bad, limited } = responders(origin);
+
+  if (origin && !originAllowed(origin, ALLOWED_ORIGINS)) {
+    return bad(403, "Origin not allowed");
+  }
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: withCors({}, origin), body: "" };
+  }
+
+  connectStores(event);
+  const ipRate = await limiter.ip(event);
+  if (!ipRate.ok) {
+    log.warn("rate_limited", { scope: "ip", ip: clientIp(event) });
+    return limited(ipRate, "ip");
+  }
+
+  if (event.httpMethod === "POST") {
+    try {
+      return await handleBatch(event, origin);
+    } catch (err) {
+      log.error("batch_failed", { error: err });
+      return bad(500, "Batch lookup failed", { details: String(err?.message || err) });
+    }
+  }
+
+  // Every single-lookup answer, refusals and errors included, takes at least MIN_RESPONSE_MS
+  const response = await handleLookup(event, origin);
+  await padResponse(startedAt);
+  return response;
+}
+
+// Wrapped with @netlify/functions stream() where available so NDJSON batches
+// reach the caller line by line; stream() also accepts plain string bodies.
+exports.handler = (() => {
+  try {
+    const wrapped = require("@netlify/functions").stream(withRequest("contact-and-enrolments", handler));
+    streaming = true;
+    return wrapped;
+  } catch {
+    return withRequest("contact-and-enrolments", handler);
+  }
+})();
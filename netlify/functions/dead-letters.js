@@ -0,0 +1,141 @@
+// Netlify Function: /dead-letters
+// Ops view of note deliveries add-contact-note could not write to aXcelerate
+// (write failed, contact not found, ambiguous contact, queued job lost).
+// Entries can be listed, inspected, retried (e.g. after an outage, or once the
+// contact exists) or discarded.
+//
+// Required env vars:
+//   DEAD_LETTER_API_KEY   shared secret(s), comma-separated; sent as
+//                         "Authorization: Bearer <key>" or "x-api-key: <key>"
+//   AXC_BASE_URL / AXC_API_TOKEN / AXC_WS_TOKEN   (for retries; with TENANTS, an
+//                         entry is retried against the instance of the tenant it came from)
+//
+// Requests:
+//   GET    ?reason=<reason>      list entry summaries (oldest first)
+//   GET    ?id=<id>              full entry, including the composed note
+//   POST   { "action": "retry", "id" | "ids", "contactID"? }
+//            contactID writes to that contact instead of resolving the email
+//   POST   { "action": "discard", "id" | "ids" }
+//   DELETE ?id=<id>              same as discard
+
+const { connectStores } = require("./lib/store");
+const { createLogger, withRequest } = require("./lib/log");
+const { missingAxcEnv, createAxcClient } = require("./lib/axc");
+const { DEFAULT_TENANT, multiTenant, getTenant, tenantAxcOptions } = require("./lib/tenants");
+const { deliverNote } = require("./lib/note-delivery");
+const { requireApiKey } = require("./lib/auth");
+const {
+  listDeadLetters, getDeadLetter, updateDeadLetter, discardDeadLetter,
+} = require("./lib/dead-letters");
+
+const log = createLogger("dead-letters");
+
+const json = (statusCode, data) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+  body: JSON.stringify(data),
+});
+
+async function retryOne(id, contactID) {
+  const entry = await getDeadLetter(id);
+  if (!entry) return { id, ok: false, error: "not found" };
+
+  const tenant = getTenant(entry.tenant || DEFAULT_TENANT);
+  if (!tenant) return { id, ok: false, error: `unknown tenant "${entry.tenant}"` };
+  const missing = missingAxcEnv(tenant.axc);
+  if (missing.length) return { id, ok: false, error: "Missing aXcelerate settings", missing, tenant: tenant.id };
+
+  const axc = createAxcClient(tenantAxcOptions(tenant));
+  let result;
+  try {
+    result = await deliverNote(axc, {
+      customerEmail: entry.customerEmail,
+      note: entry.note,
+      dedupeKey: entry.dedupeKey,
+      contactID,
+    });
+  } catch (err) {
+    result = { outcome: "failed", error: { message: String(err?.message || err) } };
+  }
+
+  if (result.outcome === "written") {
+    await discardDeadLetter(id);
+    log.info("dead_letter_retried", { id, contactIDs: result.contactIDs });
+    return { id, ok: true, contactIDs: result.contactIDs, match: result.match };
+  }
+
+  const lastError = result.outcome === "failed" ? result.error : { outcome: result.outcome };
+  await updateDeadLetter(id, {
+    attempts: (entry.attempts || 0) + 1,
+    lastAttemptAt: new Date().toISOString(),
+    lastError,
+  });
+  log.warn("dead_letter_retry_failed", { id, outcome: result.outcome });
+  return { id, ok: false, outcome: result.outcome, error: lastError, match: result.match };
+}
+
+async function discardOne(id) {
+  const entry = await getDeadLetter(id);
+  if (!entry) return { id, ok: false, error: "not found" };
+  await discardDeadLetter(id);
+  log.info("dead_letter_discarded", { id, reason: entry.reason });
+  return { id, ok: true };
+}
+
+exports.handler = withRequest("dead-letters", async (event) => {
+  try {
+    connectStores(event);
+
+    const auth = requireApiKey(event, "DEAD_LETTER_API_KEY");
+    if (!auth.ok) return json(auth.statusCode, { error: auth.error });
+
+    const q = event.queryStringParameters || {};
+
+    if (event.httpMethod === "GET") {
+      if (q.id) {
+        const entry = await getDeadLetter(q.id);
+        return entry ? json(200, entry) : json(404, { error: "Dead letter not found" });
+      }
+      const entries = await listDeadLetters({ reason: q.reason });
+      return json(200, { count: entries.length, entries });
+    }
+
+    if (event.httpMethod === "DELETE") {
+      if (!q.id) return json(400, { error: 'Query param "id" is required' });
+      const res = await discardOne(q.id);
+      return json(res.ok ? 200 : 404, res);
+    }
+
+    if (event.httpMethod !== "POST") return json(405, { error: "Use GET, POST or DELETE" });
+
+    let body;
+    try { body = JSON.parse(event.body || "{}"); }
+    catch { return json(400, { error: "Body must be JSON" }); }
+
+    const ids = Array.isArray(body.ids) ? body.ids : body.id ? [body.id] : [];
+    if (!ids.length) return json(400, { error: 'Provide "id" or "ids"' });
+
+    if (body.action === "discard") {
+      const results = [];
+      for (const id of ids) results.push(await discardOne(String(id)));
+      return json(200, { results });
+    }
+
+    if (body.action === "retry") {
+      const missing = multiTenant() ? [] : missingAxcEnv();
+      if (missing.length) return json(500, { error: "Missing aXcelerate env vars", missing });
+      if (body.contactID != null && ids.length > 1) {
+        return json(400, { error: '"contactID" can only be used when retrying a single entry' });
+      }
+      // Sequential on purpose: a bulk retry after an outage shouldn't hammer aXcelerate.
+      const results = [];
+      for (const id of ids) results.push(await retryOne(String(id), body.contactID ?? undefined));
+      return json(200, { results });
+    }
+
+    return json(400, { error: 'Unknown action; use "retry" or "discard"' });
+  } catch (err) {
+    log.error("unhandled_error", { error: err });
+    return json(500, { error: String(err?.message || err) });
+  }
+});
@@ -0,0 +1,204 @@
+// netlify/functions/lib/attachments.js
+// Attachments on ThriveDesk threads: metadata for the note, and optional
+// archival of the files to the aXcelerate contact as documents.
+//
+// Env vars:
+//   ATTACHMENT_ARCHIVE     "true" to download each attachment and upload it to
+//                          every contact the note was written to (default off)
+//   ATTACHMENT_MAX_BYTES   largest file archived (default 10485760 = 10 MB)
+//   ATTACHMENT_MIME_TYPES  comma-separated allow-list, "type/*" wildcards allowed
+//                          (default: PDF, images, Office documents, CSV, plain text)
+//   AXC_DOCUMENT_PATH      upload endpoint, {contactID} is substituted
+//                          (default /api/contact/document; contactID is also sent
+//                          as a form field)
+//   ATTACHMENT_TIMEOUT_MS  per-download timeout (default 10000)
+//
+// Archival never affects the note: results come back per file as
+// archived / skipped / failed for the caller to report alongside the write.
+
+const { createLogger } = require("./log");
+
+const ARCHIVE = String(process.env.ATTACHMENT_ARCHIVE || "").toLowerCase() === "true";
+const MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES || 10 * 1024 * 1024);
+const TIMEOUT_MS = Number(process.env.ATTACHMENT_TIMEOUT_MS || 10000);
+const DOCUMENT_PATH = process.env.AXC_DOCUMENT_PATH || "/api/contact/document";
+
+const DEFAULT_MIME_TYPES = [
+  "application/pdf",
+  "image/*",
+  "text/plain",
+  "text/csv",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+const MIME_TYPES = (process.env.ATTACHMENT_MIME_TYPES || DEFAULT_MIME_TYPES.join(","))
+  .split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+// Used when neither the payload nor the download says what the file is.
+const MIME_BY_EXTENSION = {
+  pdf: "application/pdf",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  txt: "text/plain",
+  csv: "text/csv",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const log = createLogger("attachments");
+
+/* ----------------- metadata ----------------- */
+const first = (...values) => values.find((v) => v != null && v !== "");
+
+function guessType(name) {
+  const ext = String(name || "").split(".").pop().toLowerCase();
+  return MIME_BY_EXTENSION[ext] || "";
+}
+
+// Normalised { name, size, type, url } for each attachment on the thread
+// (or on the payload's message when the thread has none).
+function attachmentsOf(thread, data) {
+  const list = [thread?.attachments, data?.message?.attachments, data?.attachments].find(Array.isArray) || [];
+  return list
+    .filter((a) => a && typeof a === "object")
+    .map((a) => {
+      const name = String(first(a.name, a.fileName, a.filename, a.originalName, a.title) ?? "attachment");
+      const size = Number(first(a.size, a.fileSize, a.bytes, a.length));
+      const type = String(first(a.mimeType, a.contentType, a.mime, a.type) ?? guessType(name)).toLowerCase();
+      const url = first(a.url, a.downloadUrl, a.download_url, a.link, a.path) || "";
+      return { name, size: Number.isFinite(size) && size >= 0 ? size : null, type, url };
+    });
+}
+
+function formatSize(bytes) {
+  if (bytes == null) return "size unknown";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// One "name (size, type)" entry per attachment, for the {{attachments}} note field.
+function describeAttachments(list) {
+  return list.map((a) => `${a.name} (${[formatSize(a.size), a.type].filter(Boolean).join(", ")})`);
+}
+
+/* ----------------- archival ----------------- */
+function typeAllowed(type) {
+  const t = String(type || "").split(";")[0].trim().toLowerCase();
+  if (!t) return false;
+  return MIME_TYPES.some((allowed) =>
+    allowed.endsWith("/*") ? t.startsWith(allowed.slice(0, -1)) : t === allowed);
+}
+
+// Reason an attachment won't be archived, judged on what the payload says.
+function skipReason(a) {
+  if (!a.url) return "no download URL";
+  if (a.size != null && a.size > MAX_BYTES) return `larger than ${formatSize(MAX_BYTES)}`;
+  if (a.type && !typeAllowed(a.type)) return `type ${a.type} not allowed`;
+  return null;
+}
+
+async function download(a) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const res = await fetch(a.url, { signal: controller.signal });
+    if (!res.ok) throw new Error(`download returned ${res.status}`);
+    const tooLarge = { skipped: `larger than ${formatSize(MAX_BYTES)}` };
+    const declared = Number(res.headers.get("content-length"));
+    if (Number.isFinite(declared) && declared > MAX_BYTES) {
+      await res.body?.cancel().catch(() => {});
+      return tooLarge;
+    }
+    const type = a.type || String(res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    if (!typeAllowed(type)) {
+      await res.body?.cancel().catch(() => {});
+      return { skipped: `type ${type || "(unknown)"} not allowed` };
+    }
+
+    // Content-Length may be missing or wrong: count the bytes as they arrive
+    // and stop reading once there are too many.
+    const chunks = [];
+    let size = 0;
+    const reader = res.body?.getReader();
+    while (reader) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.length;
+      if (size > MAX_BYTES) {
+        await reader.cancel().catch(() => {});
+        return tooLarge;
+      }
+      chunks.push(value);
+    }
+    return { buffer: Buffer.concat(chunks, size), type };
+  } catch (err) {
+    if (err?.name === "AbortError") throw new Error(`download timed out after ${TIMEOUT_MS}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function uploadDocument(client, contactID, a, file) {
+  const path = DOCUMENT_PATH.replace("{contactID}", encodeURIComponent(String(contactID)));
+  return client.postMultipart(path, {
+    contactID,
+    file: new Blob([file.buffer], { type: file.type }),
+  }, { file: a.name });
+}
+
+// Uploads each attachment to each contact. Returns one entry per attachment:
+//   { name, status: "archived", contactIDs }
+//   { name, status: "skipped", reason }
+//   { name, status: "failed", error, contactIDs }   (contactIDs already uploaded to)
+async function archiveAttachments(client, contactIDs, list) {
+  const results = [];
+  for (const a of list) {
+    const reason = skipReason(a);
+    if (reason) { results.push({ name: a.name, status: "skipped", reason }); continue; }
+
+    let file;
+    try {
+      file = await download(a);
+    } catch (err) {
+      log.warn("attachment_download_failed", { name: a.name, error: err });
+      results.push({ name: a.name, status: "failed", error: String(err?.message || err), contactIDs: [] });
+      continue;
+    }
+    if (file.skipped) { results.push({ name: a.name, status: "skipped", reason: file.skipped }); continue; }
+
+    const uploaded = [];
+    let error = null;
+    for (const contactID of contactIDs) {
+      try {
+        await uploadDocument(client, contactID, a, file);
+        uploaded.push(contactID);
+      } catch (err) {
+        log.warn("attachment_upload_failed", { name: a.name, contactID, status: err?.status, code: err?.code });
+        error = String(err?.message || err);
+        break;
+      }
+    }
+    results.push(error
+      ? { name: a.name, status: "failed", error, contactIDs: uploaded }
+      : { name: a.name, status: "archived", contactIDs: uploaded });
+  }
+  return results;
+}
+
+const archiveEnabled = () => ARCHIVE;
+
+module.exports = {
+  attachmentsOf,
+  describeAttachments,
+  archiveAttachments,
+  archiveEnabled,
+  typeAllowed,
+};
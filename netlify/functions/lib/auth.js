@@ -0,0 +1,110 @@
+// netlify/functions/lib/auth.js
+// Shared-secret checks for the non-public endpoints.
+//
+// API keys: callers send the key as `Authorization: Bearer <key>` or
+// `x-api-key: <key>`. The env var holds comma-separated keys, each optionally
+// named ("sidebar:abc123,reports:def456") so the caller can be identified;
+// several keys also let a key be rotated without downtime.
+//
+// Signed tokens: short-lived links for a single email, where
+//   token = base64url(HMAC-SHA256(secret, lowercase(email) + "." + expires))
+// and expires is a unix timestamp in seconds (see signLookupToken).
+
+const crypto = require("crypto");
+
+function header(event, name) {
+  const h = event?.headers || {};
+  const hit = Object.keys(h).find((k) => k.toLowerCase() === name);
+  return hit ? String(h[hit] || "") : "";
+}
+
+function presentedKey(event) {
+  const auth = header(event, "authorization");
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  return (m ? m[1] : header(event, "x-api-key")).trim();
+}
+
+// Constant-time compare; hashing first makes the lengths equal.
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+const splitList = (value) => String(value || "").split(",").map((k) => k.trim()).filter(Boolean);
+
+// [{ name, key }] from "name:key" entries; unnamed keys are called key1, key2, …
+function parseKeys(entries) {
+  return entries.map((entry, i) => {
+    const m = entry.match(/^([\w-]+):(.+)$/);
+    return m ? { name: m[1], key: m[2] } : { name: `key${i + 1}`, key: entry };
+  });
+}
+const keysFrom = (envName) => parseKeys(splitList(process.env[envName]));
+
+// keys: [{ name, key, ... }]; the matching entry comes back as `key`.
+// Returns { ok: true, caller, key } or { ok: false, statusCode, error }.
+// No keys at all fails closed (500) rather than leaving the endpoint open.
+function matchApiKey(event, keys, label) {
+  if (!keys.length) return { ok: false, statusCode: 500, error: `${label} is not configured` };
+  const key = presentedKey(event);
+  if (!key) return { ok: false, statusCode: 401, error: "Missing API key" };
+  // Every key is compared so the timing doesn't reveal which one matched
+  let hit = null;
+  for (const k of keys) if (safeEqual(k.key, key) && !hit) hit = k;
+  if (!hit) return { ok: false, statusCode: 403, error: "Invalid API key" };
+  return { ok: true, caller: hit.name, key: hit };
+}
+
+// Returns { ok: true, caller } or { ok: false, statusCode, error }.
+function requireApiKey(event, envName) {
+  const { key, ...result } = matchApiKey(event, keysFrom(envName), envName);
+  return result;
+}
+
+/* ----------------- signed lookup tokens ----------------- */
+function signLookupToken(secret, email, expires) {
+  return crypto.createHmac("sha256", secret)
+    .update(`${String(email).trim().toLowerCase()}.${expires}`)
+    .digest("base64url");
+}
+
+// secretsEnv may list several secrets (current first) for rotation, or be
+// the list itself (lib/tenants.js).
+// maxTtlSeconds caps how far in the future `expires` may be.
+function verifyLookupToken({ token, expires, email }, secretsEnv, maxTtlSeconds = 3600) {
+  const secrets = Array.isArray(secretsEnv) ? secretsEnv : splitList(process.env[secretsEnv]);
+  if (!secrets.length) {
+    return { ok: false, statusCode: 500, error: `${Array.isArray(secretsEnv) ? "Lookup token secret" : secretsEnv} is not configured` };
+  }
+  if (!token || !expires) return { ok: false, statusCode: 401, error: "Missing token or expires" };
+
+  const exp = Number(expires);
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isInteger(exp)) return { ok: false, statusCode: 403, error: "Invalid expires" };
+  if (exp <= now) return { ok: false, statusCode: 401, error: "Token expired" };
+  if (exp - now > maxTtlSeconds) return { ok: false, statusCode: 403, error: "Token lifetime too long" };
+
+  const valid = secrets.some((secret) => safeEqual(signLookupToken(secret, email, exp), token));
+  if (!valid) return { ok: false, statusCode: 403, error: "Invalid token" };
+  return { ok: true, caller: "signed-token" };
+}
+
+/* ----------------- origins ----------------- */
+// Exact origins, e.g. "https://app.thrivedesk.com"; "*" allows any origin.
+function originAllowed(origin, allowList) {
+  return allowList.includes("*") || allowList.includes(origin);
+}
+
+module.exports = {
+  header,
+  presentedKey,
+  safeEqual,
+  splitList,
+  parseKeys,
+  matchApiKey,
+  requireApiKey,
+  signLookupToken,
+  verifyLookupToken,
+  originAllowed,
+};
@@ -0,0 +1,416 @@
+// netlify/functions/lib/axc.js
+// Shared aXcelerate REST client + the canonical email -> contact resolver.
+//
+// Env vars (first one set wins):
+//   AXC_BASE_URL  | AXC_BASE   | AXC_BASEURL   e.g. https://vetnurse.app.axcelerate.com
+//   AXC_API_TOKEN | apitoken   | AXC_APITOKEN
+//   AXC_WS_TOKEN  | wstoken    | AXC_WSTOKEN
+//   AXC_PORTAL_URL  aXcelerate web UI, for contact links (default: AXC_BASE_URL without /api)
+//   AXC_TIMEOUT_MS  per-attempt timeout (default 10000)
+//   AXC_RETRIES     extra attempts (default 2): GETs on 429/5xx/timeouts/network
+//                   errors; writes (POST/PUT) only on 429 or when the connection
+//                   was never made, since a write that timed out or got a 5xx may
+//                   still have gone through and must not be repeated
+//   AXC_PAGE_SIZE   page size for paginated list/search calls (default 100)
+//   AXC_MAX_ITEMS   safety ceiling on rows read from one paginated call (default 2000)
+// With a tenant registry (lib/tenants.js) the instance settings come from the
+// tenant instead: createAxcClient(tenantAxcOptions(tenant)).
+//
+// Every request is recorded on client.tried (and client.usedUrls once it
+// succeeds) so callers can echo a consistent trace in debug output, and each
+// attempt is logged as an axc_call event with its status and duration.
+
+const { createLogger } = require("./log");
+
+const log = createLogger("axc");
+
+const envFirst = (...names) =>
+  names.map((n) => (process.env[n] || "").trim()).find(Boolean) || "";
+
+function readAxcEnv() {
+  return {
+    baseUrl: envFirst("AXC_BASE_URL", "AXC_BASE", "AXC_BASEURL").replace(/\/+$/, ""),
+    apiToken: envFirst("AXC_API_TOKEN", "apitoken", "AXC_APITOKEN"),
+    wsToken: envFirst("AXC_WS_TOKEN", "wstoken", "AXC_WSTOKEN"),
+    portalUrl: envFirst("AXC_PORTAL_URL").replace(/\/+$/, ""),
+  };
+}
+
+function missingAxcEnv(config = readAxcEnv()) {
+  const missing = [];
+  if (!config.baseUrl) missing.push("AXC_BASE_URL");
+  if (!config.apiToken) missing.push("AXC_API_TOKEN");
+  if (!config.wsToken) missing.push("AXC_WS_TOKEN");
+  return missing;
+}
+
+/* ----------------- errors ----------------- */
+// code: "http" (non-2xx), "timeout", "network" (fetch rejected), "parse".
+// connectFailed: a network error from before anything was sent.
+class AxcError extends Error {
+  constructor(message, { code = "http", status = null, url = null, body = null, connectFailed = false } = {}) {
+    super(message);
+    this.name = "AxcError";
+    this.code = code;
+    this.status = status;
+    this.url = url;
+    this.body = body;
+    this.connectFailed = connectFailed;
+  }
+  get retryable() {
+    return this.code === "timeout" || this.code === "network" ||
+      this.status === 429 || (this.status >= 500 && this.status <= 599);
+  }
+  // Whether a write can be sent again without risking a duplicate
+  get retryableWrite() {
+    return this.status === 429 || this.connectFailed;
+  }
+}
+
+// fetch failures (undici error causes) that mean the request never left
+const CONNECT_ERRORS = new Set([
+  "ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH", "UND_ERR_CONNECT_TIMEOUT",
+]);
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD"]);
+
+/* ----------------- client ----------------- */
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function backoffDelay(attempt, res, baseMs) {
+  const retryAfter = Number(res?.headers?.get?.("retry-after"));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, 10000);
+  return baseMs * 2 ** attempt + Math.floor(Math.random() * baseMs);
+}
+
+function createAxcClient(options = {}) {
+  const config = { ...readAxcEnv(), ...options };
+  const timeoutMs = Number(options.timeoutMs ?? process.env.AXC_TIMEOUT_MS ?? 10000);
+  const retries = Number(options.retries ?? process.env.AXC_RETRIES ?? 2);
+  const backoffMs = Number(options.backoffMs ?? 300);
+  const base = String(config.baseUrl || "").replace(/\/+$/, "");
+
+  const pageSize = Number(options.pageSize ?? process.env.AXC_PAGE_SIZE ?? 100);
+  const maxItems = Number(options.maxItems ?? process.env.AXC_MAX_ITEMS ?? 2000);
+
+  const tried = [];
+  const usedUrls = [];
+
+  // Messages name the status and the path only: response bodies and query
+  // strings can hold contact details, and messages reach logs and callers
+  // as they are. The body stays on err.body, which lib/log.js redacts.
+  async function attempt(url, init, path) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      if (err?.name === "AbortError") {
+        throw new AxcError(`aXcelerate timeout after ${timeoutMs}ms for ${path}`, { code: "timeout", url });
+      }
+      throw new AxcError(`aXcelerate network error for ${path} :: ${err?.message || err}`, {
+        code: "network", url, connectFailed: CONNECT_ERRORS.has(err?.cause?.code),
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function request(pathWithQuery, init = {}) {
+    const url = `${base}${pathWithQuery}`;
+    const method = (init.method || "GET").toUpperCase();
+    const path = pathWithQuery.split("?")[0];
+    const canRetry = (err) => (IDEMPOTENT_METHODS.has(method) ? err.retryable : err.retryableWrite);
+    const headers = {
+      apitoken: config.apiToken,
+      wstoken: config.wsToken,
+      ...(init.headers || {}),
+    };
+
+    for (let n = 0; ; n++) {
+      const started = Date.now();
+      const entry = { type: method, url, attempt: n + 1 };
+      tried.push(entry);
+
+      let res;
+      try {
+        res = await attempt(url, { ...init, method, headers }, path);
+      } catch (err) {
+        entry.error = err.code;
+        entry.ms = Date.now() - started;
+        log.warn("axc_call", { method, path: pathWithQuery, attempt: n + 1, error: err.code, durationMs: entry.ms });
+        if (canRetry(err) && n < retries) { await sleep(backoffDelay(n, null, backoffMs)); continue; }
+        throw err;
+      }
+
+      const text = await res.text().catch(() => "");
+      entry.status = res.status;
+      entry.ms = Date.now() - started;
+      log[res.ok ? "info" : "warn"]("axc_call", {
+        method, path: pathWithQuery, attempt: n + 1, status: res.status, durationMs: entry.ms,
+      });
+
+      if (!res.ok) {
+        const err = new AxcError(
+          `aXcelerate ${res.status} for ${method} ${path}`,
+          { status: res.status, url, body: text.slice(0, 2000) }
+        );
+        if (canRetry(err) && n < retries) { await sleep(backoffDelay(n, res, backoffMs)); continue; }
+        throw err;
+      }
+
+      usedUrls.push(url);
+      if (!text) return null;
+      try { return JSON.parse(text); }
+      catch { throw new AxcError(`aXcelerate returned non-JSON for ${method} ${path}`, { code: "parse", status: res.status, url, body: text.slice(0, 2000) }); }
+    }
+  }
+
+  function sendForm(method, pathWithQuery, fields) {
+    const form = new URLSearchParams();
+    for (const [k, v] of Object.entries(fields)) if (v != null) form.set(k, String(v));
+    return request(pathWithQuery, {
+      method,
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: form.toString(),
+    });
+  }
+
+  return {
+    baseUrl: base,
+    portalUrl: config.portalUrl || base.replace(/\/api\/?$/, ""),
+    // Which tenant's instance this is (lib/tenants.js); scopes cache and dedupe keys
+    tenantId: config.tenantId ?? null,
+    tried,
+    usedUrls,
+    request,
+    get: (pathWithQuery) => request(pathWithQuery),
+    postForm: (pathWithQuery, fields) => sendForm("POST", pathWithQuery, fields),
+    putForm: (pathWithQuery, fields) => sendForm("PUT", pathWithQuery, fields),
+    // multipart/form-data; Blob values are sent as files named by filenames[key]
+    postMultipart: (pathWithQuery, fields, filenames = {}) => {
+      const form = new FormData();
+      for (const [k, v] of Object.entries(fields)) {
+        if (v == null) continue;
+        if (v instanceof Blob) form.append(k, v, filenames[k] || k);
+        else form.append(k, String(v));
+      }
+      return request(pathWithQuery, { method: "POST", body: form });
+    },
+    paginate: (pathWithQuery, opts) => paginate(request, pathWithQuery, { pageSize, maxItems, ...opts }),
+    collect: async (pathWithQuery, opts) => {
+      const pager = paginate(request, pathWithQuery, { pageSize, maxItems, ...opts });
+      const items = [];
+      for await (const page of pager) items.push(...page);
+      return { items, truncated: pager.state.truncated };
+    },
+  };
+}
+
+/* ----------------- pagination ----------------- */
+// Async iterator over the pages of an offset-paginated list/search endpoint.
+// aXcelerate names the page-size param differently per endpoint
+// (contacts/search: displayLength, course/enrolments: limit), hence sizeParam.
+// Stops on a short page, or at maxItems. At the ceiling it asks for one more
+// row, and only if there is one sets pager.state.truncated, so callers can say
+// data was cut off (a list exactly maxItems long isn't).
+function paginate(request, pathWithQuery, { pageSize, maxItems, sizeParam = "displayLength", offsetParam = "offset" }) {
+  const state = { truncated: false, pages: 0, items: 0 };
+  const sep = pathWithQuery.includes("?") ? "&" : "?";
+
+  async function* pages() {
+    let offset = 0;
+    const fetchPage = (size) => request(`${pathWithQuery}${sep}${sizeParam}=${size}&${offsetParam}=${offset}`);
+    while (state.items < maxItems) {
+      const size = Math.min(pageSize, maxItems - state.items);
+      const page = await fetchPage(size);
+      if (!Array.isArray(page) || page.length === 0) return;
+      state.pages++;
+      state.items += page.length;
+      yield page;
+      if (page.length < size) return;
+      offset += page.length;
+    }
+    const more = await fetchPage(1);
+    state.truncated = Array.isArray(more) && more.length > 0;
+  }
+
+  return Object.assign(pages(), { state });
+}
+
+/* ----------------- contact resolution ----------------- */
+// Fields checked for an exact (case-insensitive) email match, best first,
+// and the confidence reported for each.
+const EMAIL_FIELDS = ["EMAILADDRESS", "EMAILADDRESSALTERNATIVE", "CUSTOMFIELD_PERSONALEMAIL"];
+const CONFIDENCE = ["exact_primary", "exact_alternate", "exact_personal", "fuzzy"];
+
+// What to do when more than one contact matches at the best confidence:
+//   refuse      - resolve nothing; the caller reports the ambiguity
+//   most_recent - pick the most recently updated/created contact
+//   all_exact   - return every exact match (writers act on all of them)
+// Env AXC_MATCH_POLICY sets the default; several fuzzy hits are always refused.
+// AXC_ALLOW_FUZZY=false also refuses a lone fuzzy hit.
+const MATCH_POLICIES = ["refuse", "most_recent", "all_exact"];
+
+function matchPolicy(override) {
+  const p = (override || process.env.AXC_MATCH_POLICY || "refuse").trim().toLowerCase();
+  return MATCH_POLICIES.includes(p) ? p : "refuse";
+}
+const allowFuzzy = () =>
+  String(process.env.AXC_ALLOW_FUZZY ?? "true").trim().toLowerCase() !== "false";
+
+const normEmail = (s) => (s || "").toString().trim().toLowerCase();
+
+function isEmailEqual(a, b) {
+  return normEmail(a) !== "" && normEmail(a) === normEmail(b);
+}
+
+// Index into CONFIDENCE for this contact, or -1 when the email isn't on it.
+function exactRank(contact, email) {
+  return EMAIL_FIELDS.findIndex((f) => isEmailEqual(contact?.[f], email));
+}
+
+// Newest first: last-updated, then created, then the (monotonic) contact ID.
+function recency(contact) {
+  const stamp = contact?.LASTUPDATED || contact?.DATEUPDATED || contact?.UPDATED ||
+    contact?.CREATED || contact?.DATECREATED || contact?.CREATEDDATE;
+  const t = stamp ? Date.parse(stamp) : NaN;
+  return [Number.isFinite(t) ? t : 0, Number(contact?.CONTACTID) || 0];
+}
+function byRecency(a, b) {
+  const [ta, ia] = recency(a), [tb, ib] = recency(b);
+  return tb - ta || ib - ia;
+}
+
+function candidateSummary(contact, rank, reason) {
+  return {
+    CONTACTID: contact?.CONTACTID ?? null,
+    GIVENNAME: contact?.GIVENNAME ?? null,
+    SURNAME: contact?.SURNAME ?? null,
+    confidence: CONFIDENCE[rank] ?? null,
+    reason,
+  };
+}
+
+const asList = (body) => (Array.isArray(body) ? body : body ? [body] : []);
+
+// A 4xx from one search variant just means "no luck with this one";
+// anything retryable that still failed is a real outage and is rethrown.
+async function tolerant(fn) {
+  try { return await fn(); }
+  catch (err) {
+    if (err instanceof AxcError && err.code === "http" && !err.retryable) return null;
+    throw err;
+  }
+}
+
+// Gather every contact the searches turn up, keyed by CONTACTID with its best rank.
+async function collectCandidates(client, email) {
+  const e = encodeURIComponent(email.trim());
+  const found = new Map();
+  const add = (contacts, fuzzy) => {
+    for (const c of contacts) {
+      if (c?.CONTACTID == null) continue;
+      const rank = exactRank(c, email);
+      if (rank < 0 && !fuzzy) continue;
+      const r = rank < 0 ? CONFIDENCE.indexOf("fuzzy") : rank;
+      const prev = found.get(String(c.CONTACTID));
+      if (!prev || r < prev.rank) found.set(String(c.CONTACTID), { contact: c, rank: r });
+    }
+  };
+  const hasExact = () => [...found.values()].some((x) => x.rank < CONFIDENCE.indexOf("fuzzy"));
+
+  let truncated = false;
+
+  add(asList(await tolerant(() => client.get(`/api/contacts?emailAddress=${e}`))), false);
+
+  // stopOnExact: the broader searches can match a lot of contacts, so they
+  // stop paging as soon as an exact match turns up.
+  async function paged(base, stopOnExact) {
+    const pager = client.paginate(base);
+    const walk = async () => {
+      for await (const page of pager) {
+        add(page, false);
+        if (stopOnExact && hasExact()) return;
+      }
+      truncated = truncated || pager.state.truncated;
+    };
+    await tolerant(walk);
+  }
+
+  // The email-specific search is always read in full so duplicates surface;
+  // the broader ones are only needed when nothing exact has turned up yet.
+  await paged(`/api/contacts/search?emailAddress=${e}`, false);
+  for (const base of [`/api/contacts/search?q=${e}`, `/api/contacts/search?search=${e}`]) {
+    if (hasExact()) break;
+    await paged(base, true);
+  }
+
+  if (!hasExact()) {
+    for (const base of [`/api/contacts/search?emailAddress=${e}`, `/api/contacts/search?q=${e}`, `/api/contacts/search?search=${e}`]) {
+      const res = await tolerant(() => client.get(`${base}&displayLength=10`));
+      if (Array.isArray(res) && res.length) { add(res, true); break; }
+    }
+  }
+
+  return { candidates: [...found.values()], truncated };
+}
+
+// Resolve an email to aXcelerate contact(s) with a confidence report.
+// Returns { contact, contacts, confidence, ambiguous, policy, rejected, truncated }:
+//   contact    - the chosen contact (or null)
+//   contacts   - every chosen contact (more than one only under all_exact)
+//   confidence - CONFIDENCE entry of the chosen contact(s)
+//   ambiguous  - several contacts matched at the best confidence
+//   rejected   - the other candidates, with the reason they lost
+//   truncated  - a search hit AXC_MAX_ITEMS, so a match may have been missed
+async function resolveContactByEmail(client, email, { policy } = {}) {
+  const chosenPolicy = matchPolicy(policy);
+  const { candidates, truncated } = await collectCandidates(client, email);
+  const result = (chosen, rank, ambiguous, rejected) => ({
+    contact: chosen[0] || null,
+    contacts: chosen,
+    confidence: chosen.length ? CONFIDENCE[rank] : null,
+    ambiguous,
+    policy: chosenPolicy,
+    rejected,
+    truncated,
+  });
+
+  if (!candidates.length) return result([], null, false, []);
+
+  const bestRank = Math.min(...candidates.map((c) => c.rank));
+  const best = candidates.filter((c) => c.rank === bestRank).map((c) => c.contact).sort(byRecency);
+  const lower = candidates.filter((c) => c.rank !== bestRank)
+    .map((c) => candidateSummary(c.contact, c.rank, "lower_confidence"));
+  const fuzzy = CONFIDENCE[bestRank] === "fuzzy";
+
+  if (best.length === 1) {
+    if (fuzzy && !allowFuzzy()) {
+      return result([], null, false, [candidateSummary(best[0], bestRank, "fuzzy_not_allowed")]);
+    }
+    return result(best, bestRank, false, lower);
+  }
+
+  const refuseAll = (reason) =>
+    result([], null, true, [...best.map((c) => candidateSummary(c, bestRank, reason)), ...lower]);
+
+  if (fuzzy || chosenPolicy === "refuse") return refuseAll("ambiguous");
+  if (chosenPolicy === "all_exact") return result(best, bestRank, true, lower);
+  return result([best[0]], bestRank, true, [
+    ...best.slice(1).map((c) => candidateSummary(c, bestRank, "older")),
+    ...lower,
+  ]);
+}
+
+module.exports = {
+  AxcError,
+  readAxcEnv,
+  missingAxcEnv,
+  createAxcClient,
+  resolveContactByEmail,
+  matchPolicy,
+  isEmailEqual,
+  EMAIL_FIELDS,
+  CONFIDENCE,
+  MATCH_POLICIES,
+};
@@ -0,0 +1,121 @@
+// netlify/functions/lib/contact-writes.js
+// Writes to aXcelerate contact records: creating a minimal contact for an
+// unknown ThriveDesk customer (add-contact-note, opt-in) and pushing
+// corrected phone/address details back from a ticket (update-contact).
+//
+// Env vars:
+//   AXC_CREATE_CONTACTS        "true" to create a contact when an email matches
+//                              none (ambiguous matches are never resolved this way)
+//   AXC_CREATE_CONTACT_KINDS   event kinds that may create one (default
+//                              "inbound_email,outbound_email", see lib/td-events.js)
+
+const { splitList } = require("./auth");
+const { AxcError } = require("./axc");
+
+const CREATE_CONTACTS = String(process.env.AXC_CREATE_CONTACTS || "").toLowerCase() === "true";
+const CREATE_KINDS = splitList(process.env.AXC_CREATE_CONTACT_KINDS || "inbound_email,outbound_email");
+
+// Fields update-contact may change: request name -> aXcelerate field.
+// The contact GET returns the uppercase name; the PUT takes the lowercase one.
+const UPDATABLE_FIELDS = {
+  mobilePhone: "MOBILEPHONE",
+  phone: "PHONE",
+  workPhone: "WORKPHONE",
+  address1: "ADDRESS1",
+  address2: "ADDRESS2",
+  city: "CITY",
+  state: "STATE",
+  postcode: "POSTCODE",
+  country: "COUNTRY",
+};
+
+/* ----------------- create ----------------- */
+function createEnabledFor(kind) {
+  return CREATE_CONTACTS && CREATE_KINDS.includes(kind);
+}
+
+// Given/surname from the ThriveDesk contact; aXcelerate requires both, so the
+// email's local part and "Unknown" stand in for missing ones.
+function splitName(info, email) {
+  const given = String(info?.firstName || info?.first_name || "").trim();
+  const family = String(info?.lastName || info?.last_name || "").trim();
+  if (given || family) return { givenName: given || family, surname: family && given ? family : "Unknown" };
+  const parts = String(info?.name || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length > 1) return { givenName: parts.slice(0, -1).join(" "), surname: parts[parts.length - 1] };
+  if (parts.length === 1) return { givenName: parts[0], surname: "Unknown" };
+  return { givenName: String(email).split("@")[0], surname: "Unknown" };
+}
+
+// The contact details ThriveDesk sends with a conversation.
+function contactInfoOf(data) {
+  return data?.contactInfo || data?.contact || data?.customer || data?.conversation?.contact || {};
+}
+
+// Creates { givenName, surname, emailAddress, mobilephone? } and returns the new CONTACTID.
+async function createContact(client, email, info) {
+  const phone = String(info?.phone || info?.mobile || info?.phoneNumber || "").trim();
+  const created = await client.postForm("/api/contact/", {
+    ...splitName(info, email),
+    emailAddress: email,
+    mobilephone: phone || null,
+  });
+  const contact = Array.isArray(created) ? created[0] : created;
+  const contactID = contact?.CONTACTID ?? contact?.contactID;
+  if (contactID == null) {
+    // An AxcError, so the caller reports a failed write (and dead-letters it)
+    throw new AxcError("aXcelerate did not return a CONTACTID for the new contact", {
+      code: "parse", url: "/api/contact/", body: JSON.stringify(created ?? null).slice(0, 2000),
+    });
+  }
+  return contactID;
+}
+
+/* ----------------- update ----------------- */
+const clean = (v) => (v == null ? "" : String(v).trim());
+
+// Validates requested changes against UPDATABLE_FIELDS.
+// Returns { changes } or { errors }.
+function parseChanges(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { errors: ['"changes" must be an object'] };
+  }
+  const errors = [];
+  const changes = {};
+  for (const [name, value] of Object.entries(input)) {
+    if (!(name in UPDATABLE_FIELDS)) { errors.push(`"${name}" cannot be updated`); continue; }
+    if (value != null && typeof value !== "string" && typeof value !== "number") {
+      errors.push(`"${name}" must be a string`);
+      continue;
+    }
+    changes[name] = clean(value);
+  }
+  if (!errors.length && !Object.keys(changes).length) errors.push("No changes given");
+  return errors.length ? { errors } : { changes };
+}
+
+// { <name>: { from, to } } for the changes that differ from the contact.
+function contactDiff(contact, changes) {
+  const diff = {};
+  for (const [name, to] of Object.entries(changes)) {
+    const from = clean(contact?.[UPDATABLE_FIELDS[name]]);
+    if (from !== to) diff[name] = { from: from || null, to: to || null };
+  }
+  return diff;
+}
+
+// PUTs only the changed fields.
+function updateContact(client, contactID, diff) {
+  const fields = {};
+  for (const [name, { to }] of Object.entries(diff)) fields[UPDATABLE_FIELDS[name].toLowerCase()] = to ?? "";
+  return client.putForm(`/api/contact/${encodeURIComponent(String(contactID))}`, fields);
+}
+
+module.exports = {
+  createEnabledFor,
+  contactInfoOf,
+  createContact,
+  parseChanges,
+  contactDiff,
+  updateContact,
+  UPDATABLE_FIELDS,
+};
@@ -0,0 +1,98 @@
+// netlify/functions/lib/dead-letters.js
+// Dead-letter store for note deliveries that could not be written to
+// aXcelerate (write failed, contact not found, ambiguous contact, queued job
+// lost), so they can be inspected and retried later from the dead-letters function.
+//
+// Entry shape:
+// {
+//   id, createdAt,
+//   reason: "write_failed" | "contact_not_found" | "ambiguous_contact" | "job_claim_failed" | "job_failed",
+//   customerEmail, convId, kind, eventName, dedupeKey,
+//   tenant,                    // lib/tenants.js ID; absent for the single-instance setup
+//   note,                      // the composed note, exactly as it would be written
+//   details,                   // error / match report from the failed attempt
+//   occurrences,               // webhook deliveries that failed the same way
+//   attempts, lastAttemptAt, lastError      // manual retries
+// }
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+const { createLogger } = require("./log");
+
+const deadLetters = createStore("dead-letters");
+
+const log = createLogger("dead-letters");
+
+// ThriveDesk retries a failed webhook, so entries are keyed by the delivery
+// key: each retry updates the same entry instead of piling up copies.
+function idFor(entry) {
+  const basis = entry.dedupeKey || `${Date.now()}:${crypto.randomBytes(8).toString("hex")}`;
+  return crypto.createHash("sha1").update(basis).digest("hex").slice(0, 20);
+}
+
+// Never throws: losing the dead letter must not turn a handled failure into a 500.
+async function recordDeadLetter(entry) {
+  const id = idFor(entry);
+  try {
+    const existing = await deadLetters.get(id);
+    const record = {
+      id,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      occurrences: (existing?.occurrences || 0) + 1,
+      attempts: existing?.attempts || 0,
+      lastAttemptAt: existing?.lastAttemptAt || null,
+      lastError: existing?.lastError || null,
+      ...entry,
+    };
+    await deadLetters.set(id, record);
+    return id;
+  } catch (err) {
+    log.error("dead_letter_record_failed", { error: err });
+    return null;
+  }
+}
+
+function summarize(e) {
+  return {
+    id: e.id,
+    createdAt: e.createdAt,
+    reason: e.reason,
+    customerEmail: e.customerEmail,
+    convId: e.convId ?? null,
+    kind: e.kind ?? null,
+    ...(e.tenant ? { tenant: e.tenant } : {}),
+    occurrences: e.occurrences,
+    attempts: e.attempts,
+    lastAttemptAt: e.lastAttemptAt,
+  };
+}
+
+// Oldest first
+async function listDeadLetters({ reason } = {}) {
+  const entries = [];
+  for (const id of await deadLetters.list()) {
+    const e = await deadLetters.get(id);
+    if (e && (!reason || e.reason === reason)) entries.push(summarize(e));
+  }
+  return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+const getDeadLetter = (id) => deadLetters.get(id);
+
+async function updateDeadLetter(id, patch) {
+  const e = await deadLetters.get(id);
+  if (!e) return null;
+  const next = { ...e, ...patch };
+  await deadLetters.set(id, next);
+  return next;
+}
+
+const discardDeadLetter = (id) => deadLetters.delete(id);
+
+module.exports = {
+  recordDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetter,
+  discardDeadLetter,
+};
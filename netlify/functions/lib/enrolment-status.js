@@ -0,0 +1,133 @@
+// netlify/functions/lib/enrolment-status.js
+// Enrolment types and a derived status for every enrolment row, used by
+// contact-and-enrolments for currentQualifications, the ?status= filter and
+// the timeline view.
+//
+// Derived statuses: active, completed, withdrawn, lapsed. An aXcelerate STATUS
+// found in one of the lists below maps to that status; any other non-empty
+// STATUS is active, unless the enrolment's expected end date has passed, in
+// which case it is lapsed. A row without a STATUS has no derived status.
+//
+// Env vars:
+//   ENROLMENT_STATUS_MAP        JSON, replaces the default list for each status given, e.g.
+//                               {"withdrawn":["withdrawn","cancelled","deferred"]}
+//   ENROLMENT_CURRENT_STATUSES  derived statuses that count as current
+//                               (default "active,lapsed", the rule this function always had)
+//   ENROLMENT_LAPSE_AFTER_DAYS  days past the expected end date before an open
+//                               enrolment is lapsed (default 0; "off" never lapses by date)
+
+const { createLogger } = require("./log");
+
+const log = createLogger("enrolment-status");
+
+const DERIVED_STATUSES = ["active", "completed", "withdrawn", "lapsed"];
+
+const DEFAULT_STATUS_MAP = {
+  withdrawn: ["withdrawn", "cancelled", "canceled", "deleted", "discontinued"],
+  completed: ["completed", "complete", "finished"],
+  lapsed: ["lapsed", "expired"],
+};
+
+// aXcelerate TYPE codes
+const ENROLMENT_TYPES = { p: "program", s: "unit", w: "workshop" };
+
+const lower = (s) => String(s ?? "").trim().toLowerCase();
+const splitList = (value) => String(value || "").split(",").map(lower).filter(Boolean);
+
+function loadStatusMap() {
+  const map = { ...DEFAULT_STATUS_MAP };
+  const raw = process.env.ENROLMENT_STATUS_MAP;
+  if (!raw) return map;
+  let parsed;
+  try { parsed = JSON.parse(raw); } catch {
+    log.warn("config_invalid", { env: "ENROLMENT_STATUS_MAP", fallback: "defaults" });
+    return map;
+  }
+  for (const [status, list] of Object.entries(parsed || {})) {
+    if (!(status in DEFAULT_STATUS_MAP) || !Array.isArray(list)) {
+      log.warn("config_entry_ignored", { env: "ENROLMENT_STATUS_MAP", status });
+      continue;
+    }
+    map[status] = list.map(lower).filter(Boolean);
+  }
+  return map;
+}
+const STATUS_MAP = loadStatusMap();
+
+function loadCurrentStatuses() {
+  const listed = splitList(process.env.ENROLMENT_CURRENT_STATUSES || "active,lapsed");
+  const valid = listed.filter((s) => DERIVED_STATUSES.includes(s));
+  if (valid.length !== listed.length) {
+    log.warn("config_entry_ignored", {
+      env: "ENROLMENT_CURRENT_STATUSES", ignored: listed.filter((s) => !valid.includes(s)),
+    });
+  }
+  return valid;
+}
+const CURRENT_STATUSES = loadCurrentStatuses();
+
+const LAPSE_AFTER = lower(process.env.ENROLMENT_LAPSE_AFTER_DAYS);
+const LAPSE_AFTER_MS = LAPSE_AFTER === "off" ? null : (Number(LAPSE_AFTER) || 0) * 24 * 60 * 60 * 1000;
+
+/* ----------------- classification ----------------- */
+function enrolmentType(row) {
+  return ENROLMENT_TYPES[lower(row?.TYPE || row?.type)] || null;
+}
+
+const firstOf = (obj, keys) => keys.map((k) => obj?.[k]).find((v) => v != null && v !== "") ?? null;
+
+function expectedEnd(row) {
+  return firstOf(row, ["EXPECTEDCOMPLETIONDATE", "EXPECTEDENDDATE", "EXPECTEDFINISHDATE", "ENDDATE"]);
+}
+
+// "active" | "completed" | "withdrawn" | "lapsed", or null without a STATUS.
+function derivedStatus(row, now = Date.now()) {
+  const s = lower(row?.STATUS);
+  if (!s) return null;
+  for (const status of ["withdrawn", "completed", "lapsed"]) {
+    if (STATUS_MAP[status].includes(s)) return status;
+  }
+  if (LAPSE_AFTER_MS != null) {
+    const end = Date.parse(expectedEnd(row) || "");
+    if (Number.isFinite(end) && end + LAPSE_AFTER_MS < now) return "lapsed";
+  }
+  return "active";
+}
+
+function isCurrent(row, now = Date.now()) {
+  const status = derivedStatus(row, now);
+  return status != null && CURRENT_STATUSES.includes(status);
+}
+
+/* ----------------- query parsing ----------------- */
+// ?type=program,unit,workshop (or p,s,w) -> { ok, types } | { ok: false, error }
+function parseTypes(value) {
+  const out = [];
+  for (const t of splitList(value)) {
+    const type = ENROLMENT_TYPES[t] || (Object.values(ENROLMENT_TYPES).includes(t) ? t : null);
+    if (!type) return { ok: false, error: `Unknown enrolment type "${t}"; use ${Object.values(ENROLMENT_TYPES).join(", ")}` };
+    if (!out.includes(type)) out.push(type);
+  }
+  return { ok: true, types: out };
+}
+
+// ?status=active,lapsed -> { ok, statuses } | { ok: false, error }
+function parseStatuses(value) {
+  const out = [];
+  for (const s of splitList(value)) {
+    if (!DERIVED_STATUSES.includes(s)) return { ok: false, error: `Unknown status "${s}"; use ${DERIVED_STATUSES.join(", ")}` };
+    if (!out.includes(s)) out.push(s);
+  }
+  return { ok: true, statuses: out };
+}
+
+module.exports = {
+  DERIVED_STATUSES,
+  ENROLMENT_TYPES,
+  enrolmentType,
+  derivedStatus,
+  isCurrent,
+  expectedEnd,
+  parseTypes,
+  parseStatuses,
+};
@@ -0,0 +1,328 @@
+// netlify/functions/lib/html-to-text.js
+// Email HTML -> readable plain text for aXcelerate notes.
+//
+//   - decodes every named (lib/html-entities.js) and numeric entity
+//   - renders lists ("- item", "1. item"), tables (cells joined with " | ")
+//     and links ("text (url)")
+//   - collapses HTML whitespace and limits blank lines to one
+//   - with stripQuotes (the default), drops the quoted previous messages and
+//     signatures: Gmail/Outlook/Apple/Yahoo quote containers, <blockquote>,
+//     "On … wrote:" / "-----Original Message-----" / "From: … Sent: …"
+//     headers, "-- " signature delimiters and ">" quoted lines
+//
+// If stripping would leave nothing, the unstripped text is returned instead.
+//
+// Every pass is linear in the input (tags are found by a single scan, not a
+// backtracking regex), and input past MAX_INPUT_CHARS is cut off first, so a
+// hostile email body can't stall the webhook.
+
+const ENTITIES = require("./html-entities");
+
+const MAX_INPUT_CHARS = 1_000_000;
+
+// Entities browsers also accept without the trailing semicolon.
+const LEGACY_ENTITIES = ["amp", "lt", "gt", "quot", "nbsp", "copy", "reg"];
+
+const BLOCK_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "center", "dd", "div", "dl", "dt",
+  "fieldset", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6",
+  "header", "main", "nav", "p", "pre", "section", "table", "tbody", "thead", "tfoot",
+]);
+const DROP_TAGS = new Set(["script", "style", "head", "title", "noscript", "template", "xml"]);
+const VOID_TAGS = new Set(["br", "hr", "img", "meta", "link", "input", "wbr", "col", "area", "base", "source"]);
+
+// Containers that hold everything quoted below a reply; the rest of the
+// document from the first of these on is history.
+const QUOTE_START = [
+  { tag: "div", attr: /\bclass=["'][^"']*\bgmail_quote\b/i },
+  { tag: "div", attr: /\bclass=["'][^"']*\byahoo_quoted\b/i },
+  { tag: "div", attr: /\bid=["']?(?:appendonsend|divRplyFwdMsg)\b/i },
+  { tag: "hr", attr: /\bid=["']?stopSpelling\b/i },
+  { tag: "blockquote", attr: /\btype=["']?cite\b/i },
+];
+// Elements removed wherever they appear.
+const REMOVE_ELEMENTS = [
+  { tag: "blockquote", attr: /.*/ },
+  { tag: "div", attr: /\bclass=["'][^"']*\b(?:gmail_signature|signature)\b/i },
+  { tag: "div", attr: /\bid=["']?(?:Signature|signature)\b/ },
+];
+
+/* ----------------- entities ----------------- */
+function codePoint(n) {
+  if (!Number.isFinite(n) || n <= 0 || n > 0x10ffff || (n >= 0xd800 && n <= 0xdfff)) return "\ufffd";
+  return String.fromCodePoint(n);
+}
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z][a-zA-Z0-9]*)(;?)/g, (m, ref, semi) => {
+    if (ref[0] === "#") {
+      const hex = ref[1] === "x" || ref[1] === "X";
+      return codePoint(parseInt(ref.slice(hex ? 2 : 1), hex ? 16 : 10));
+    }
+    if (semi && Object.prototype.hasOwnProperty.call(ENTITIES, ref)) return ENTITIES[ref];
+    if (!semi && LEGACY_ENTITIES.includes(ref)) return ENTITIES[ref];
+    return m;
+  });
+}
+
+/* ----------------- tags ----------------- */
+const TAG_NAME = /(\/?)([a-zA-Z][a-zA-Z0-9:-]*)/y;
+
+// The markup of a document in order, as { index, end, closing, name, attrs },
+// or { index, end, skip: true } for comments, CDATA, doctypes and other
+// "<!…>" / "<?…>" constructs. A tag runs to the first ">" outside quotes; a
+// "<" met before that means the first one was text, so every character is
+// looked at once.
+function* tags(html) {
+  let i = 0;
+  while ((i = html.indexOf("<", i)) >= 0) {
+    if (html[i + 1] === "!" || html[i + 1] === "?") {
+      const close = html.startsWith("<!--", i) ? "-->" : html.startsWith("<![CDATA[", i) ? "]]>" : ">";
+      const found = html.indexOf(close, i + 2);
+      const end = found < 0 ? html.length : found + close.length;
+      yield { index: i, end, skip: true };
+      i = end;
+      continue;
+    }
+    TAG_NAME.lastIndex = i + 1;
+    const m = TAG_NAME.exec(html);
+    if (!m) { i++; continue; }
+
+    let j = TAG_NAME.lastIndex, quote = null, end = -1;
+    for (; j < html.length; j++) {
+      const ch = html[j];
+      if (ch === "<") break;
+      if (quote) { if (ch === quote) quote = null; }
+      else if (ch === '"' || ch === "'") quote = ch;
+      else if (ch === ">") { end = j + 1; break; }
+    }
+    if (end < 0) { i = j; continue; }
+    yield { index: i, end, closing: !!m[1], name: m[2].toLowerCase(), attrs: html.slice(TAG_NAME.lastIndex, end - 1) };
+    i = end;
+  }
+}
+
+const selfClosing = (attrs) => /\/\s*$/.test(attrs);
+
+/* ----------------- quoted history (HTML) ----------------- */
+// Stands in for a removed element, so the text either side of it stays on
+// separate lines ("World<blockquote>…</blockquote>Bye").
+const REMOVED = "<div></div>";
+
+// Removes elements (with their nested content) whose tag and attributes match.
+function removeElements(html, { tag, attr }) {
+  let out = "", last = 0, depth = 0, start = -1;
+  for (const t of tags(html)) {
+    if (t.skip || t.name !== tag) continue;
+    if (depth === 0) {
+      if (t.closing || !attr.test(t.attrs)) continue;
+      start = t.index;
+      depth = 1;
+    } else if (t.closing) {
+      depth--;
+      if (depth === 0) {
+        out += html.slice(last, start) + REMOVED;
+        last = t.end;
+      }
+    } else if (!selfClosing(t.attrs)) {
+      depth++;
+    }
+  }
+  // An unclosed element runs to the end of the document.
+  return depth > 0 ? out + html.slice(last, start) + REMOVED : out + html.slice(last);
+}
+
+function stripQuotedHtml(html) {
+  let cut = html.length;
+  for (const t of tags(html)) {
+    if (!t.skip && !t.closing && QUOTE_START.some((q) => q.tag === t.name && q.attr.test(t.attrs))) {
+      cut = t.index;
+      break;
+    }
+  }
+  let out = html.slice(0, cut);
+  for (const spec of REMOVE_ELEMENTS) out = removeElements(out, spec);
+  return out;
+}
+
+/* ----------------- HTML -> text ----------------- */
+const SOFT_BREAK = "\u0001";
+const PARAGRAPH_BREAK = "\u0002";
+
+function attrValue(attrs, name) {
+  const m = attrs.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return m ? decodeEntities(m[2] ?? m[3] ?? m[4] ?? "") : "";
+}
+
+function linkSuffix(href, text) {
+  const url = href.trim();
+  if (!url || /^(#|javascript:|cid:)/i.test(url)) return "";
+  const bare = url.replace(/^mailto:/i, "");
+  const shown = text.trim();
+  if (!shown || shown === url || shown === bare || shown.replace(/\/$/, "") === url.replace(/\/$/, "")) return "";
+  return ` (${bare})`;
+}
+
+function renderHtml(src) {
+  // Output is built from text runs plus line-break markers; whitespace inside
+  // text runs is collapsed HTML-style, except inside <pre>. Block boundaries
+  // emit SOFT_BREAK / PARAGRAPH_BREAK so adjacent blocks don't stack up blank
+  // lines; <br> is a hard "\n" (see resolveBreaks).
+  const out = [];
+  const lists = [];           // { ordered, n }
+  const links = [];           // { href, start }
+  let dropDepth = 0, preDepth = 0;
+  let row = null;             // cells of the current table row
+  let cell = null;            // text collected for the current cell
+
+  const emit = (text) => { if (cell !== null) cell.push(text); else out.push(text); };
+  const newline = () => emit(SOFT_BREAK);
+  const blankLine = () => emit(PARAGRAPH_BREAK);
+
+  let last = 0;
+  const flushText = (text) => {
+    if (dropDepth || !text) return;
+    const decoded = decodeEntities(text);
+    emit(preDepth ? decoded : decoded.replace(/[ \t\r\n\f]+/g, " "));
+  };
+
+  for (const t of tags(src)) {
+    flushText(src.slice(last, t.index));
+    last = t.end;
+    if (t.skip) continue;
+
+    const { closing, name: tag, attrs } = t;
+
+    if (DROP_TAGS.has(tag)) {
+      if (closing) dropDepth = Math.max(0, dropDepth - 1);
+      else if (!selfClosing(attrs)) dropDepth++;
+      continue;
+    }
+    if (dropDepth) continue;
+
+    switch (tag) {
+      case "br": emit("\n"); break;
+      case "hr": blankLine(); emit("----------"); blankLine(); break;
+      case "pre": preDepth += closing ? -1 : 1; blankLine(); break;
+      case "ul":
+      case "ol":
+        if (closing) lists.pop();
+        else lists.push({ ordered: tag === "ol", n: Number(attrValue(attrs, "start")) || 1 });
+        newline();
+        break;
+      case "li":
+        if (!closing) {
+          const list = lists[lists.length - 1];
+          const indent = "  ".repeat(Math.max(0, lists.length - 1));
+          newline();
+          emit(`${indent}${list?.ordered ? `${list.n++}.` : "-"} `);
+        } else {
+          newline();
+        }
+        break;
+      case "a":
+        if (!closing) {
+          links.push({ href: attrValue(attrs, "href"), start: cell !== null ? cell.length : out.length, inCell: cell !== null });
+        } else if (links.length) {
+          const link = links.pop();
+          const buf = link.inCell && cell !== null ? cell : out;
+          const text = buf.slice(link.start).join("");
+          emit(linkSuffix(link.href, text.replace(/\s+/g, " ")));
+        }
+        break;
+      case "tr":
+        if (!closing) row = [];
+        else if (row) {
+          if (row.length) { newline(); emit(row.join(" | ")); newline(); }
+          row = null;
+        }
+        break;
+      case "td":
+      case "th":
+        if (!closing) cell = [];
+        else if (cell !== null) {
+          const text = cell.join("").replace(/\s+/g, " ").trim();
+          cell = null;
+          if (row) row.push(text); else emit(text);
+        }
+        break;
+      case "img": {
+        const alt = attrValue(attrs, "alt").trim();
+        if (alt) emit(`[${alt}]`);
+        break;
+      }
+      default:
+        if (/^h[1-6]$/.test(tag) || tag === "p" || tag === "table" || tag === "blockquote") blankLine();
+        else if (BLOCK_TAGS.has(tag)) newline();
+    }
+  }
+  flushText(src.slice(last));
+
+  return resolveBreaks(out.join(""));
+}
+
+// A run of break markers (and the whitespace/<br>s after them) becomes one
+// line break, plus one per <br> inside it; a paragraph break means a blank line.
+// Blanks before a run are left for tidy() to trim off the line end.
+function resolveBreaks(text) {
+  return text.replace(/[\u0001\u0002][\s\u0001\u0002]*/g, (run) => {
+    const hard = (run.match(/\n/g) || []).length;
+    const n = Math.max(1 + hard, run.includes(PARAGRAPH_BREAK) ? 2 : 1);
+    return "\n".repeat(n);
+  });
+}
+
+// Without a backtracking /[ \t]+$/, which is quadratic on long blank runs.
+function trimTrailingBlanks(line) {
+  let end = line.length;
+  while (end && (line[end - 1] === " " || line[end - 1] === "\t")) end--;
+  return line.slice(0, end);
+}
+
+function tidy(text) {
+  return text
+    .replace(/\u00a0/g, " ")
+    .split("\n")
+    .map((line) => trimTrailingBlanks(line).replace(/^ (?=\S)/, ""))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/* ----------------- quoted history (text) ----------------- */
+const REPLY_HEADER = /^\s*On\b.{0,200}\bwrote:\s*$/i;
+const ORIGINAL_MESSAGE = /^\s*-{2,}\s*(?:Original Message|Forwarded message)\s*-{2,}\s*$/i;
+const OUTLOOK_FROM = /^\s*\*?From:\*?\s/i;
+const OUTLOOK_NEXT = /^\s*\*?(?:Sent|Date|To|Subject|Cc):\*?\s/i;
+const SIGNATURE_DELIMITER = /^-- ?$/;
+
+// Index of the first line where quoted history (or a signature) begins, or -1.
+function historyStart(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (REPLY_HEADER.test(line)) return i;
+    // "On Mon, 1 Jan 2024 at 10:00, Name <x@y>\nwrote:" wrapped over two lines
+    if (/^\s*On\b/i.test(line) && i + 1 < lines.length && REPLY_HEADER.test(`${line} ${lines[i + 1]}`)) return i;
+    if (ORIGINAL_MESSAGE.test(line) || SIGNATURE_DELIMITER.test(line)) return i;
+    if (OUTLOOK_FROM.test(line) && lines.slice(i + 1, i + 5).filter((l) => OUTLOOK_NEXT.test(l)).length >= 2) return i;
+  }
+  return -1;
+}
+
+function stripQuotedText(text) {
+  const lines = String(text).slice(0, MAX_INPUT_CHARS).replace(/\r\n?/g, "\n").split("\n");
+  const start = historyStart(lines);
+  const kept = (start >= 0 ? lines.slice(0, start) : lines).filter((l) => !/^\s*>/.test(l));
+  const result = tidy(kept.join("\n"));
+  return result || tidy(lines.join("\n"));
+}
+
+/* ----------------- public API ----------------- */
+function htmlToText(html = "", { stripQuotes = true } = {}) {
+  const source = String(html).slice(0, MAX_INPUT_CHARS);
+  if (!stripQuotes) return tidy(renderHtml(source));
+  const stripped = stripQuotedText(tidy(renderHtml(stripQuotedHtml(source))));
+  return stripped || tidy(renderHtml(source));
+}
+
+module.exports = { htmlToText, stripQuotedText, decodeEntities };
@@ -0,0 +1,142 @@
+// netlify/functions/lib/log.js
+// Structured JSON logging shared by every function and lib module.
+//
+// Each line is one JSON object:
+//   { "ts", "level", "fn", "module", "event", "correlationId", ...fields }
+// `event` is a stable snake_case name (note_written, contact_not_found,
+// signature_failed, axc_call, …) so logs can be searched and shipped as-is.
+//
+// Correlation IDs: handlers are wrapped with withRequest(name, handler), which
+// takes the ID from an incoming X-Correlation-Id / X-Request-Id (or Netlify's
+// X-Nf-Request-Id) header, or makes one up, stamps it on every line logged
+// while the request runs (lib modules included, via AsyncLocalStorage) and
+// echoes it back in the X-Correlation-Id response header.
+//
+// Redaction is automatic, on every field:
+//   - email addresses (also %40-encoded ones in URLs) -> "j***@example.com"
+//   - token/secret/api key/signature/authorization/password fields -> "[redacted]"
+//   - note and message bodies (note, contactNote, body, textBody, htmlBody, …)
+//     -> "[redacted N chars]"
+//
+// LOG_LEVEL  debug | info (default) | warn | error
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || "").trim().toLowerCase()] ?? LEVELS.info;
+
+const CORRELATION_HEADER = "X-Correlation-Id";
+const INCOMING_HEADERS = ["x-correlation-id", "x-request-id", "x-nf-request-id"];
+
+const SECRET_KEY = /token|secret|password|passwd|authorization|signature|api[-_]?key|cookie/i;
+const BODY_KEY = /^(note|contactNote|body|textBody|htmlBody|html|text|content)$/i;
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*(@|%40)([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g;
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+/* ----------------- redaction ----------------- */
+const redactString = (s) => s.replace(EMAIL, (_, first, at, domain) => `${first}***${at === "@" ? "@" : "%40"}${domain}`);
+
+function redact(value, key = "", depth = 0) {
+  if (value == null) return value;
+  if (key && SECRET_KEY.test(key) && typeof value !== "boolean") return "[redacted]";
+  if (key && BODY_KEY.test(key) && typeof value === "string") return `[redacted ${value.length} chars]`;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[…]";
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.code != null ? { code: value.code } : {}),
+      ...(value.status != null ? { status: value.status } : {}),
+    }, "", depth + 1);
+  }
+  if (Array.isArray(value)) return value.map((v) => redact(v, "", depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = redact(v, k, depth + 1);
+  return out;
+}
+
+/* ----------------- loggers ----------------- */
+function write(level, module, event, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const ctx = requestContext.getStore();
+  const line = {
+    ts: new Date().toISOString(),
+    level,
+    ...(ctx ? { fn: ctx.fn, correlationId: ctx.correlationId } : {}),
+    module,
+    event,
+    ...redact(fields && typeof fields === "object" && !(fields instanceof Error) ? fields : { detail: fields }),
+  };
+  const text = JSON.stringify(line);
+  if (level === "error") console.error(text);
+  else console.log(text);
+}
+
+// createLogger("note-delivery").info("note_written", { contactID })
+function createLogger(module) {
+  return {
+    debug: (event, fields) => write("debug", module, event, fields),
+    info: (event, fields) => write("info", module, event, fields),
+    warn: (event, fields) => write("warn", module, event, fields),
+    error: (event, fields) => write("error", module, event, fields),
+  };
+}
+
+/* ----------------- request context ----------------- */
+function incomingCorrelationId(event) {
+  const headers = event?.headers || {};
+  for (const name of INCOMING_HEADERS) {
+    const hit = Object.keys(headers).find((k) => k.toLowerCase() === name);
+    const value = hit ? String(headers[hit] || "").trim() : "";
+    if (/^[\w.:-]{1,128}$/.test(value)) return value;
+  }
+  return null;
+}
+
+// The current request's correlation ID (null outside withRequest).
+const correlationId = () => requestContext.getStore()?.correlationId ?? null;
+
+// Wraps a handler: runs it with a correlation ID in context, logs
+// request_completed with status and duration, and echoes the ID.
+function withRequest(fn, handler) {
+  const log = createLogger(fn);
+  return async (event, context) => {
+    const ctx = { fn, correlationId: incomingCorrelationId(event) || crypto.randomUUID() };
+    return requestContext.run(ctx, async () => {
+      const started = Date.now();
+      let response;
+      try {
+        response = await handler(event, context);
+      } catch (err) {
+        log.error("unhandled_error", { error: err });
+        response = {
+          statusCode: 500,
+          headers: { "Content-Type": "application/json; charset=utf-8" },
+          body: JSON.stringify({ error: "Internal error", correlationId: ctx.correlationId }),
+        };
+      }
+      log.info("request_completed", {
+        method: event?.httpMethod,
+        statusCode: response?.statusCode,
+        durationMs: Date.now() - started,
+      });
+      if (response && typeof response === "object") {
+        response.headers = { ...(response.headers || {}), [CORRELATION_HEADER]: ctx.correlationId };
+      }
+      return response;
+    });
+  };
+}
+
+module.exports = {
+  createLogger,
+  withRequest,
+  correlationId,
+  redact,
+  CORRELATION_HEADER,
+};
@@ -0,0 +1,88 @@
+// netlify/functions/lib/lookup-audit.js
+// Audit trail of contact-and-enrolments lookups — who looked up which
+// contact, and when — for compliance to review through the lookup-audit
+// function.
+//
+// Entry shape:
+// {
+//   id, at, tenant, caller, via: "api-key" | "signed-token", batch,
+//   ip, profile,
+//   emailHash,          // sha256 of the lowercased email; the email itself isn't kept
+//   outcome: "found" | "not_found" | "ambiguous" | "error",
+//   contactIDs,         // contact(s) the email resolved to
+//   correlationId
+// }
+// Entries are keyed "<YYYY-MM-DD>/<time>-<random>", so a day lists by prefix.
+//
+// Env vars:
+//   LOOKUP_AUDIT                 "off" stops recording
+//   LOOKUP_AUDIT_RETENTION_DAYS  how long entries are kept (default 365)
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+const { createLogger, correlationId } = require("./log");
+
+const ENABLED = !["off", "false"].includes(String(process.env.LOOKUP_AUDIT || "").trim().toLowerCase());
+const RETENTION_MS = Number(process.env.LOOKUP_AUDIT_RETENTION_DAYS || 365) * 24 * 60 * 60 * 1000;
+const MAX_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const entries = createStore("lookup-audit");
+
+const log = createLogger("lookup-audit");
+
+const emailHash = (email) =>
+  crypto.createHash("sha256").update(String(email ?? "").trim().toLowerCase()).digest("hex");
+
+// Never throws: a lookup that already happened is answered even if its audit
+// entry can't be stored (the failure is logged at error level).
+async function recordLookup({ email, contactIDs = [], ...entry }) {
+  if (!ENABLED) return null;
+  const at = new Date();
+  const id = `${at.toISOString().slice(0, 10)}/${at.getTime()}-${crypto.randomBytes(4).toString("hex")}`;
+  try {
+    await entries.set(id, {
+      id,
+      at: at.toISOString(),
+      ...entry,
+      emailHash: emailHash(email),
+      contactIDs,
+      correlationId: correlationId() ?? null,
+    }, { ttlMs: RETENTION_MS });
+    return id;
+  } catch (err) {
+    log.error("audit_record_failed", { caller: entry.caller, error: err });
+    return null;
+  }
+}
+
+// filters: { since, until (YYYY-MM-DD, inclusive; default today), tenant,
+// caller, contactID, email }. At most MAX_DAYS days per query, newest first.
+async function listLookups(filters = {}) {
+  const until = Date.parse(filters.until || new Date().toISOString().slice(0, 10));
+  const since = Date.parse(filters.since || new Date(until).toISOString().slice(0, 10));
+  if (!Number.isFinite(since) || !Number.isFinite(until) || since > until) {
+    return { ok: false, error: '"since" and "until" must be dates (YYYY-MM-DD), since <= until' };
+  }
+  if ((until - since) / DAY_MS + 1 > MAX_DAYS) {
+    return { ok: false, error: `At most ${MAX_DAYS} days per query` };
+  }
+  const hash = filters.email ? emailHash(filters.email) : null;
+  const keep = (e) =>
+    (!filters.tenant || e.tenant === filters.tenant) &&
+    (!filters.caller || e.caller === filters.caller) &&
+    (!hash || e.emailHash === hash) &&
+    (filters.contactID == null || e.contactIDs.map(String).includes(String(filters.contactID)));
+
+  const out = [];
+  for (let day = until; day >= since; day -= DAY_MS) {
+    const keys = await entries.list(`${new Date(day).toISOString().slice(0, 10)}/`);
+    for (const key of keys.sort().reverse()) {
+      const e = await entries.get(key);
+      if (e && keep(e)) out.push(e);
+    }
+  }
+  return { ok: true, entries: out };
+}
+
+module.exports = { recordLookup, listLookups, emailHash };
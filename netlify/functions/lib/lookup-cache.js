@@ -0,0 +1,143 @@
+// netlify/functions/lib/lookup-cache.js
+// Cache in front of the aXcelerate calls made by contact-and-enrolments.
+//
+// Two tiers: a per-instance memory store, and the shared store (Netlify Blobs
+// in production, see lib/store.js) when one is configured. Reads try memory
+// first and refill it from the shared tier.
+//
+// Entries:
+//   email:<sha1 of normalised email>  resolved contact match   LOOKUP_CACHE_CONTACT_TTL (s, default 300)
+//                                     or no match               LOOKUP_CACHE_NOT_FOUND_TTL (s, default 60)
+//   enrolments:<contactID>            enrolment list rows      LOOKUP_CACHE_ENROLMENT_TTL (s, default 120)
+//   index:<contactID>                 email keys pointing at the contact, for invalidation
+// Lookups that find no contact are cached too: otherwise a miss costs
+// aXcelerate calls a hit doesn't, and the timing tells the two apart. The
+// shorter TTL bounds how long a contact created outside these functions
+// stays hidden; ones they create drop the entry (invalidateEmail).
+//
+// LOOKUP_CACHE=off disables caching; LOOKUP_CACHE=memory keeps it per-instance.
+// Invalidation from another function instance can only reach the shared tier,
+// so with one configured, memory entries live at most LOOKUP_CACHE_MEMORY_TTL
+// (s, default 30).
+//
+// invalidateContact(contactID) drops everything cached for a contact; it runs
+// after every successful note write (lib/note-delivery.js). invalidateEmail(email)
+// drops an email's match, for contacts created or given a new address.
+//
+// Every function takes the tenant ID last (axc.tenantId, see lib/tenants.js);
+// other tenants' entries are kept apart under a "<tenant>/" key prefix.
+
+const crypto = require("crypto");
+const { createStore, backendName } = require("./store");
+const { createLogger } = require("./log");
+
+const STORE_NAME = "lookup-cache";
+const MODE = (process.env.LOOKUP_CACHE || "").trim().toLowerCase();
+const CONTACT_TTL_MS = Number(process.env.LOOKUP_CACHE_CONTACT_TTL || 300) * 1000;
+const NOT_FOUND_TTL_MS = Number(process.env.LOOKUP_CACHE_NOT_FOUND_TTL || 60) * 1000;
+const ENROLMENT_TTL_MS = Number(process.env.LOOKUP_CACHE_ENROLMENT_TTL || 120) * 1000;
+const MEMORY_TTL_MS = Number(process.env.LOOKUP_CACHE_MEMORY_TTL || 30) * 1000;
+
+const memory = createStore(STORE_NAME, { backend: "memory" });
+const shared = createStore(STORE_NAME);
+
+const log = createLogger("lookup-cache");
+
+const enabled = () => MODE !== "off" && MODE !== "false";
+
+// The tiers in read order; the shared one only when it isn't memory as well.
+function tiers() {
+  if (!enabled()) return [];
+  if (MODE === "memory" || backendName() === "memory") return [memory];
+  return [memory, shared];
+}
+
+// The single-tenant setup ("default", or none) keeps the unprefixed keys.
+const scoped = (tenant, key) => (tenant && tenant !== "default" ? `${tenant}/${key}` : key);
+const emailKey = (email, tenant) =>
+  scoped(tenant, `email:${crypto.createHash("sha1").update(String(email).trim().toLowerCase()).digest("hex")}`);
+const enrolmentKey = (contactID, tenant) => scoped(tenant, `enrolments:${contactID}`);
+const indexKey = (contactID, tenant) => scoped(tenant, `index:${contactID}`);
+
+// TTL for a tier: the memory tier is capped when it sits in front of a shared one.
+function ttlFor(store, ttlMs) {
+  return store === memory && tiers().length > 1 ? Math.min(ttlMs, MEMORY_TTL_MS) : ttlMs;
+}
+
+/* ----------------- tiered get/set ----------------- */
+// Cache failures are logged and treated as misses; they never fail a lookup.
+async function read(key, ttlMs) {
+  const list = tiers();
+  for (let i = 0; i < list.length; i++) {
+    try {
+      const value = await list[i].get(key);
+      if (value == null) continue;
+      if (i > 0) await memory.set(key, value, { ttlMs: ttlFor(memory, ttlMs) });
+      return value;
+    } catch (err) {
+      log.warn("cache_read_failed", { key, store: i ? "shared" : "memory", error: err });
+    }
+  }
+  return null;
+}
+
+async function write(key, value, ttlMs) {
+  for (const store of tiers()) {
+    try { await store.set(key, value, { ttlMs: ttlFor(store, ttlMs) }); }
+    catch (err) { log.warn("cache_write_failed", { key, error: err }); }
+  }
+}
+
+async function remove(key) {
+  for (const store of tiers()) {
+    try { await store.delete(key); }
+    catch (err) { log.warn("cache_delete_failed", { key, error: err }); }
+  }
+}
+
+/* ----------------- public API ----------------- */
+// Resolved match for an email (the resolveContactByEmail result), or null.
+function getContactMatch(email, tenant) {
+  return read(emailKey(email, tenant), CONTACT_TTL_MS);
+}
+
+async function setContactMatch(email, resolved, tenant) {
+  if (!resolved) return;
+  const key = emailKey(email, tenant);
+  if (!resolved.contacts?.length) return write(key, resolved, NOT_FOUND_TTL_MS);
+  await write(key, resolved, CONTACT_TTL_MS);
+  for (const contact of resolved.contacts) {
+    const index = (await read(indexKey(contact.CONTACTID, tenant), CONTACT_TTL_MS)) || [];
+    if (!index.includes(key)) await write(indexKey(contact.CONTACTID, tenant), [...index, key], CONTACT_TTL_MS);
+  }
+}
+
+// { items, truncated } from axc.collect, or null.
+function getEnrolments(contactID, tenant) {
+  return read(enrolmentKey(contactID, tenant), ENROLMENT_TTL_MS);
+}
+
+function setEnrolments(contactID, pages, tenant) {
+  return write(enrolmentKey(contactID, tenant), pages, ENROLMENT_TTL_MS);
+}
+
+async function invalidateContact(contactID, tenant) {
+  if (!tiers().length || contactID == null) return;
+  const index = (await read(indexKey(contactID, tenant), CONTACT_TTL_MS)) || [];
+  await Promise.all([...index, enrolmentKey(contactID, tenant), indexKey(contactID, tenant)].map(remove));
+}
+
+async function invalidateEmail(email, tenant) {
+  if (!tiers().length || !email) return;
+  await remove(emailKey(email, tenant));
+}
+
+module.exports = {
+  enabled,
+  getContactMatch,
+  setContactMatch,
+  getEnrolments,
+  setEnrolments,
+  invalidateContact,
+  invalidateEmail,
+};
@@ -0,0 +1,138 @@
+// netlify/functions/lib/note-delivery.js
+// Writes a composed note to the aXcelerate contact(s) behind an email, with
+// the delivery dedupe that stops ThriveDesk retries from writing it twice.
+// Used by the add-contact-note webhook and by dead-letter retries.
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+const { AxcError, resolveContactByEmail } = require("./axc");
+const { invalidateContact, invalidateEmail } = require("./lookup-cache");
+const { createContact } = require("./contact-writes");
+const { createLogger } = require("./log");
+
+const DEDUPE_TTL_DAYS = Number(process.env.DEDUPE_TTL_DAYS || 30);
+
+const deliveries = createStore("td-deliveries");
+
+const log = createLogger("note-delivery");
+
+/* ----------------- delivery dedupe ----------------- */
+// ThriveDesk retries webhooks; the key must be identical across retries of
+// the same event, so it is built from the conversation, the event kind and
+// the thread ID (or, when there is no thread ID, a hash of the content).
+function deliveryKey(convId, kind, thread, fingerprint) {
+  const part = thread?.id != null
+    ? `thread:${thread.id}`
+    : `sha1:${crypto.createHash("sha1").update(fingerprint).digest("hex")}`;
+  return `${convId ?? "unknown"}/${kind}/${part}`;
+}
+async function previousDelivery(key) {
+  if (!key) return null;
+  try { return await deliveries.get(key); }
+  catch (err) { log.warn("dedupe_read_failed", { error: err }); return null; }
+}
+async function markDelivered(key, record) {
+  if (!key) return;
+  try { await deliveries.set(key, record, { ttlMs: DEDUPE_TTL_DAYS * 24 * 60 * 60 * 1000 }); }
+  catch (err) { log.warn("dedupe_write_failed", { error: err }); }
+}
+// A partially written delivery (all_exact with a failure) is not a duplicate.
+const isComplete = (record) => !!record && record.complete !== false;
+
+/* ----------------- aXcelerate write ----------------- */
+async function addContactNote(client, contactID, note) {
+  return client.postForm(`/api/contact/note/`, { contactID, contactNote: note });
+}
+
+function matchReport(resolved) {
+  return {
+    confidence: resolved.confidence,
+    ambiguous: resolved.ambiguous,
+    policy: resolved.policy,
+    rejected: resolved.rejected,
+    truncated: resolved.truncated,
+  };
+}
+
+// Resolve the contact(s) and write the note.
+// opts.contactID skips resolution (ops picking the contact for a retry).
+// opts.create ({ info }: ThriveDesk contact details) creates a contact when the
+// email matches none; its ID is remembered with the delivery so a retry
+// writes to it instead of creating another.
+// Returns one of:
+//   { outcome: "written",   contactIDs, match, created? }
+//   { outcome: "not_found" | "ambiguous", match }
+//   { outcome: "failed",    error: { status, code, message }, written, match }
+// Non-aXcelerate errors are thrown.
+async function deliverNote(axc, { customerEmail, note, dedupeKey, contactID, create }) {
+  const previous = await previousDelivery(dedupeKey);
+
+  let contacts, match;
+  if (contactID != null) {
+    contacts = [{ CONTACTID: contactID }];
+    match = { confidence: "manual", ambiguous: false, policy: null, rejected: [], truncated: false };
+  } else {
+    const resolved = await resolveContactByEmail(axc, customerEmail);
+    contacts = resolved.contacts;
+    match = matchReport(resolved);
+    if (!contacts.length && (resolved.ambiguous || !create)) {
+      return { outcome: resolved.ambiguous ? "ambiguous" : "not_found", match };
+    }
+  }
+
+  let created = null;
+  if (!contacts.length) {
+    created = previous?.createdContactID ?? null;
+    if (created == null) {
+      try {
+        created = await createContact(axc, customerEmail, create.info);
+      } catch (err) {
+        if (!(err instanceof AxcError)) throw err;
+        log.error("contact_create_failed", { code: err.code, status: err.status, url: err.url, body: err.body });
+        return { outcome: "failed", error: { status: err.status, code: err.code, message: err.message }, written: [], match };
+      }
+      log.info("contact_created", { contactID: created });
+      // Lookups may have cached this email as not found
+      await invalidateEmail(customerEmail, axc.tenantId);
+      await markDelivered(dedupeKey, { contactIDs: [], createdContactID: created, complete: false, at: new Date().toISOString() });
+    }
+    contacts = [{ CONTACTID: created }];
+    match = { ...match, confidence: "created" };
+  }
+  const createdContactID = created ?? previous?.createdContactID;
+
+  // Under the all_exact policy a note goes to every matching contact; a
+  // partial failure is remembered so the retry only writes the missing ones.
+  const written = [...(previous?.contactIDs || [])];
+  for (const contact of contacts) {
+    if (written.includes(contact.CONTACTID)) continue;
+    try {
+      await addContactNote(axc, contact.CONTACTID, note);
+      written.push(contact.CONTACTID);
+      // The next lookup for this contact should see fresh data
+      await invalidateContact(contact.CONTACTID, axc.tenantId);
+    } catch (err) {
+      if (!(err instanceof AxcError)) throw err;
+      log.error("note_post_failed", { contactID: contact.CONTACTID, code: err.code, status: err.status, url: err.url, body: err.body });
+      if (written.length) {
+        await markDelivered(dedupeKey, { contactIDs: written, createdContactID, complete: false, at: new Date().toISOString() });
+      }
+      return {
+        outcome: "failed",
+        error: { status: err.status, code: err.code, message: err.message },
+        written,
+        match,
+      };
+    }
+  }
+
+  await markDelivered(dedupeKey, { contactIDs: written, createdContactID, complete: true, at: new Date().toISOString() });
+  return { outcome: "written", contactIDs: written, match, ...(created != null ? { created } : {}) };
+}
+
+module.exports = {
+  deliveryKey,
+  previousDelivery,
+  isComplete,
+  deliverNote,
+};
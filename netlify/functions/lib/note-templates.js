@@ -0,0 +1,260 @@
+// netlify/functions/lib/note-templates.js
+// Note layouts for add-contact-note, selectable per ThriveDesk inbox.
+//
+// Template syntax (one template per event kind, see lib/td-events.js):
+//   {{field}}            value of a field (lists are joined with ", ")
+//   {{field|fallback}}   fallback text when the field is empty
+//   ?line                the whole line is left out when every field on it is empty
+//
+// Fields: event, kind, convId, conversationUrl, customerEmail, subject, body,
+//   cc, bcc, tags, agent, previousAgent, actor, author, sender, inbox,
+//   inboxName, status, previousStatus, timestamp, attachments
+//   (attachments: "name (size, type)" per file, see lib/attachments.js)
+//
+// Summary mode renders the first line of the kind's template followed by
+// " | Subject: {{subject}}", unless the set gives { full, summary } for the kind.
+//
+// NOTE_TEMPLATES (JSON) adds template sets and maps inboxes to them:
+// {
+//   "templates": {
+//     "compact": {
+//       "maxLength": 20000,
+//       "outbound_email": "Email to {{customerEmail}} by {{agent|Support}}: {{subject}}\n{{conversationUrl}}\n?Tags: {{tags}}\n\n{{body}}"
+//     }
+//   },
+//   "inboxes": { "support@example.edu.au": "compact", "42": "compact" },   // inbox address, ID or name
+//   "default": "standard"
+// }
+// Kinds a set doesn't define use the "standard" layout. Everything is validated
+// when the function loads; invalid sets are dropped (with a log line) and their
+// inboxes fall back to "standard", which is the original hardcoded layout.
+// "standard" is built in: a set of that name in NOTE_TEMPLATES is ignored.
+//
+// NOTE_TIMEZONE        IANA zone for {{timestamp}} (default Australia/Sydney)
+// TD_CONVERSATION_URL  e.g. https://app.thrivedesk.com/conversations/{{convId}},
+//                      used when the payload carries no conversation URL
+
+const { createLogger } = require("./log");
+
+const MAX_NOTE_LENGTH = 60000;
+const TRUNCATION_MARK = "\n[truncated]";
+
+const FIELDS = [
+  "event", "kind", "convId", "conversationUrl", "customerEmail", "subject", "body",
+  "cc", "bcc", "tags", "agent", "previousAgent", "actor", "author", "sender", "inbox",
+  "inboxName", "status", "previousStatus", "timestamp", "attachments",
+];
+
+const KINDS = [
+  "outbound_email", "inbound_email", "internal_note", "conversation_closed",
+  "conversation_reopened", "status_changed", "assignment_changed",
+];
+
+const STANDARD = {
+  maxLength: MAX_NOTE_LENGTH,
+  outbound_email: [
+    "Email sent via ThriveDesk - Conversation ID: {{convId|(unknown)}}",
+    "To: {{customerEmail}}",
+    "?CC: {{cc}}",
+    "?BCC: {{bcc}}",
+    "Subject: {{subject}}",
+    "From: {{sender|Support}}",
+    "?Attachments: {{attachments}}",
+    "",
+    "{{body|(no body)}}",
+  ].join("\n"),
+  inbound_email: [
+    "Email received via ThriveDesk - Conversation ID: {{convId|(unknown)}}",
+    "From: {{customerEmail}}",
+    "To: {{inbox|Support}}",
+    "?CC: {{cc}}",
+    "?BCC: {{bcc}}",
+    "Subject: {{subject}}",
+    "?Attachments: {{attachments}}",
+    "",
+    "{{body|(no body)}}",
+  ].join("\n"),
+  internal_note: [
+    "Internal note added in ThriveDesk - Conversation ID: {{convId|(unknown)}}",
+    "By: {{author|(unknown)}}",
+    "Subject: {{subject}}",
+    "?Attachments: {{attachments}}",
+    "",
+    "{{body|(no body)}}",
+  ].join("\n"),
+  conversation_closed: [
+    "ThriveDesk conversation closed - Conversation ID: {{convId|(unknown)}}",
+    "Subject: {{subject}}",
+    "?By: {{actor}}",
+  ].join("\n"),
+  conversation_reopened: [
+    "ThriveDesk conversation reopened - Conversation ID: {{convId|(unknown)}}",
+    "Subject: {{subject}}",
+    "?By: {{actor}}",
+  ].join("\n"),
+  status_changed: [
+    'ThriveDesk conversation status changed to "{{status|(unknown)}}" - Conversation ID: {{convId|(unknown)}}',
+    "?Previous status: {{previousStatus}}",
+    "Subject: {{subject}}",
+  ].join("\n"),
+  assignment_changed: [
+    "ThriveDesk conversation assigned to {{agent|(unassigned)}} - Conversation ID: {{convId|(unknown)}}",
+    "?Previously: {{previousAgent}}",
+    "Subject: {{subject}}",
+  ].join("\n"),
+};
+
+const STANDARD_SET_NAME = "standard";
+
+const PLACEHOLDER = /\{\{\s*(\w+)(?:\|([^}]*))?\s*\}\}/g;
+
+const NOTE_TIMEZONE = process.env.NOTE_TIMEZONE || "Australia/Sydney";
+const CONVERSATION_URL = process.env.TD_CONVERSATION_URL || "";
+
+const log = createLogger("note-templates");
+
+/* ----------------- validation ----------------- */
+// Returns a list of problems with one template string (empty when valid).
+function templateErrors(text) {
+  if (typeof text !== "string" || !text.trim()) return ["must be a non-empty string"];
+  const errors = [];
+  for (const [, name] of text.matchAll(PLACEHOLDER)) {
+    if (!FIELDS.includes(name)) errors.push(`unknown field {{${name}}}`);
+  }
+  const stray = text.replace(PLACEHOLDER, "");
+  if (stray.includes("{{") || stray.includes("}}")) errors.push("unbalanced {{ }}");
+  return errors;
+}
+
+// Returns { set, errors } with the set normalised to { maxLength, <kind>: { full, summary? } }.
+function validateSet(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== "object") return { set: null, errors: ["must be an object"] };
+  const set = {};
+
+  if (raw.maxLength != null) {
+    const n = Number(raw.maxLength);
+    if (!Number.isInteger(n) || n < 200 || n > MAX_NOTE_LENGTH) {
+      errors.push(`maxLength must be an integer between 200 and ${MAX_NOTE_LENGTH}`);
+    } else {
+      set.maxLength = n;
+    }
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (key === "maxLength") continue;
+    if (!KINDS.includes(key)) { errors.push(`unknown event kind "${key}"`); continue; }
+    const entry = typeof value === "string" ? { full: value } : value;
+    for (const part of ["full", "summary"]) {
+      if (part === "summary" && entry?.summary == null) continue;
+      for (const e of templateErrors(entry?.[part])) errors.push(`${key}.${part}: ${e}`);
+    }
+    set[key] = { full: entry?.full, ...(entry?.summary != null ? { summary: entry.summary } : {}) };
+  }
+  return { set: errors.length ? null : set, errors };
+}
+
+// The built-in layout every set falls back to, kept apart from CONFIG.sets
+// so no configured set can take its place.
+const STANDARD_SET = validateSet(STANDARD).set;
+
+function loadConfig() {
+  const config = { sets: { [STANDARD_SET_NAME]: STANDARD_SET }, inboxes: {}, defaultSet: STANDARD_SET_NAME };
+
+  const raw = process.env.NOTE_TEMPLATES;
+  if (!raw) return config;
+  let parsed;
+  try { parsed = JSON.parse(raw); } catch {
+    log.warn("config_invalid", { env: "NOTE_TEMPLATES", fallback: "standard" });
+    return config;
+  }
+
+  for (const [name, def] of Object.entries(parsed?.templates || {})) {
+    if (name === STANDARD_SET_NAME) { log.warn("template_set_reserved", { name }); continue; }
+    const { set, errors } = validateSet(def);
+    if (!set) { log.warn("template_set_invalid", { name, errors }); continue; }
+    config.sets[name] = set;
+  }
+  for (const [inbox, name] of Object.entries(parsed?.inboxes || {})) {
+    if (!config.sets[name]) { log.warn("template_set_unknown", { inbox, name }); continue; }
+    config.inboxes[String(inbox).trim().toLowerCase()] = name;
+  }
+  if (parsed?.default) {
+    if (config.sets[parsed.default]) config.defaultSet = parsed.default;
+    else log.warn("template_set_unknown", { default: parsed.default, fallback: "standard" });
+  }
+  return config;
+}
+const CONFIG = loadConfig();
+
+/* ----------------- rendering ----------------- */
+function fieldText(value) {
+  if (Array.isArray(value)) return value.filter((v) => v != null && v !== "").join(", ");
+  return value == null ? "" : String(value);
+}
+
+function render(template, fields) {
+  const out = [];
+  for (const rawLine of template.split("\n")) {
+    const optional = rawLine.startsWith("?");
+    const line = optional ? rawLine.slice(1) : rawLine;
+    let anyValue = false;
+    const text = line.replace(PLACEHOLDER, (_, name, fallback) => {
+      const value = fieldText(fields[name]);
+      if (value) anyValue = true;
+      return value || (fallback ?? "");
+    });
+    if (optional && !anyValue) continue;
+    out.push(text);
+  }
+  return out.join("\n");
+}
+
+function formatTimestamp(value) {
+  const d = value ? new Date(value) : new Date();
+  if (Number.isNaN(d.getTime())) return String(value);
+  try {
+    return new Intl.DateTimeFormat("en-AU", {
+      timeZone: NOTE_TIMEZONE, dateStyle: "medium", timeStyle: "short",
+    }).format(d);
+  } catch {
+    return d.toISOString();
+  }
+}
+
+// Fills the fields that are derived rather than read from the payload.
+function withDerived(fields) {
+  const out = { ...fields, timestamp: formatTimestamp(fields.timestamp) };
+  if (!out.conversationUrl && CONVERSATION_URL && out.convId != null) {
+    out.conversationUrl = render(CONVERSATION_URL, { convId: encodeURIComponent(String(out.convId)) });
+  }
+  return out;
+}
+
+// Template set for an inbox: matched on ID, connected/inbox address or name.
+function templateSetFor(inbox = {}) {
+  const keys = [inbox.id, inbox.connectedEmailAddress, inbox.inboxAddress, inbox.name]
+    .filter((k) => k != null && k !== "")
+    .map((k) => String(k).trim().toLowerCase());
+  const name = keys.map((k) => CONFIG.inboxes[k]).find(Boolean) || CONFIG.defaultSet;
+  return { name, set: CONFIG.sets[name] };
+}
+
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  return text.slice(0, maxLength - TRUNCATION_MARK.length) + TRUNCATION_MARK;
+}
+
+// Renders the note for an event kind and mode ("log" | "summary").
+// Returns { note, template } where template is the set name used.
+function renderNote(kind, mode, fields, inbox) {
+  const { name, set } = templateSetFor(inbox);
+  const entry = set[kind] || STANDARD_SET[kind] || STANDARD_SET.outbound_email;
+  const template = mode === "summary"
+    ? entry.summary ?? `${entry.full.split("\n")[0]} | Subject: {{subject}}`
+    : entry.full;
+  const maxLength = set.maxLength ?? STANDARD_SET.maxLength;
+  return { note: truncate(render(template, withDerived(fields)), maxLength), template: name };
+}
+
+module.exports = { renderNote, templateErrors, validateSet, FIELDS };
@@ -0,0 +1,264 @@
+// netlify/functions/lib/note-webhook.js
+// What happens to a verified ThriveDesk webhook payload: classify the event,
+// compose the note, skip redeliveries, resolve the contact and write it.
+// Runs inside add-contact-note (NOTE_PROCESSING=sync, or when the background
+// function can't be reached) or in add-contact-note-background.
+//
+// Results are { statusCode, body } with body as an object; callers serialise.
+// The tenant (lib/tenants.js) picks the aXcelerate instance; dedupe keys and
+// dead letters carry its ID unless it is the single-instance "default".
+//
+// NOTE_STRIP_QUOTES  "false" keeps quoted replies and signatures in note bodies
+
+const { createLogger } = require("./log");
+const { createAxcClient } = require("./axc");
+const { DEFAULT_TENANT, getTenant, tenantAxcOptions } = require("./tenants");
+const { deliveryKey, previousDelivery, isComplete, deliverNote } = require("./note-delivery");
+const { recordDeadLetter } = require("./dead-letters");
+const {
+  classifyEvent, eventMode, lastThread, statusOf, previousStatusOf,
+} = require("./td-events");
+const { renderNote } = require("./note-templates");
+const { htmlToText, stripQuotedText } = require("./html-to-text");
+const {
+  attachmentsOf, describeAttachments, archiveAttachments, archiveEnabled,
+} = require("./attachments");
+const { createEnabledFor, contactInfoOf } = require("./contact-writes");
+
+// Quoted replies and signatures are dropped from note bodies unless "false"
+const STRIP_QUOTES =
+  String(process.env.NOTE_STRIP_QUOTES || "").toLowerCase() !== "false";
+
+const log = createLogger("note-webhook");
+
+/* ----------------- general utils ----------------- */
+function pickCustomerEmail(data) {
+  return (
+    data?.contactInfo?.email ||
+    data?.contact?.email ||
+    data?.customer?.email ||
+    data?.conversation?.contact?.email ||
+    null
+  );
+}
+function personName(p) {
+  if (!p) return "";
+  if (typeof p === "string") return p.trim();
+  return (p.name || [p.firstName, p.lastName].filter(Boolean).join(" ")).trim();
+}
+function listField(...candidates) {
+  return candidates.find(Array.isArray) || [];
+}
+
+/* ----------------- screening ----------------- */
+// The checks that need no aXcelerate call. Returns { response } when the
+// webhook can be answered straight away (skipped event kind, no customer
+// email), otherwise what processing needs to know about the event.
+function screenNoteEvent(payload) {
+  const data = payload?.data || payload;
+
+  // Route on the ThriveDesk event type
+  const { name: eventName, kind } = classifyEvent(payload, data);
+  const mode = eventMode(kind);
+  if (mode === "skip") {
+    log.info("event_skipped", { eventName, kind });
+    return { response: { statusCode: 200, body: { ok: true, skipped: "event type", event: eventName, kind } } };
+  }
+
+  // The student/customer the conversation is with
+  const customerEmail = pickCustomerEmail(data);
+  if (!customerEmail) {
+    log.info("no_customer_email", {
+      kind, hasContactInfo: !!data?.contactInfo, hasContact: !!data?.contact,
+    });
+    return { response: { statusCode: 200, body: { ok: true, skipped: "no customer email" } } };
+  }
+
+  const convId = data?.conversation?.id || data?.ticketId || data?.id;
+  return { data, eventName, kind, mode, customerEmail, convId };
+}
+
+/* ----------------- composing ----------------- */
+// Everything up to the aXcelerate call: the note, its template and the
+// delivery key. Returns { response } like screenNoteEvent when there's
+// nothing to write.
+function composeNoteEvent(payload, tenant) {
+  const screened = screenNoteEvent(payload);
+  if (screened.response) return screened;
+  const { data, eventName, kind, mode, customerEmail, convId } = screened;
+
+  // Subject/body come from the newest thread matching the event kind
+  const thread = lastThread(data, kind);
+
+  const subject =
+    thread?.subject ||
+    data?.subject ||
+    data?.conversation?.subject ||
+    "(no subject)";
+
+  const plain = thread?.textBody
+    ? (STRIP_QUOTES ? stripQuotedText(thread.textBody) : thread.textBody)
+    : htmlToText(
+      thread?.htmlBody ||
+      data?.message?.htmlBody ||
+      data?.message?.body ||
+      "",
+      { stripQuotes: STRIP_QUOTES }
+    );
+
+  // Agent name and the exact inbox address the student mails with
+  const assignedTo = data?.assignedTo || data?.conversation?.assignedTo || thread?.assignedTo || {};
+  const agentName = personName(assignedTo);
+  const previousAgentName = personName(data?.previousAssignedTo || data?.changes?.assignedTo?.from);
+  const actorName = personName(thread?.author || thread?.user || data?.actor || data?.updatedBy);
+  const inbox = data?.inbox || data?.conversation?.inbox || {};
+  const inboxAddress = inbox.connectedEmailAddress || inbox.inboxAddress || "";
+
+  // CC / BCC (prefer what’s on the thread itself)
+  const cc = listField(thread?.cc, data?.cc, data?.message?.cc);
+  const bcc = listField(thread?.bcc, data?.bcc, data?.message?.bcc);
+
+  // Conversation link for traceability
+  const conversationUrl = data?.conversation?.url || data?.url || "";
+
+  const tags = listField(data?.tags, data?.conversation?.tags).map((t) => (typeof t === "string" ? t : t?.name));
+
+  // Files sent with the message (listed in the note, optionally archived)
+  const attachments = thread || kind === "outbound_email" || kind === "inbound_email"
+    ? attachmentsOf(thread, data)
+    : [];
+
+  const fields = {
+    event: eventName || kind, kind, convId, conversationUrl, customerEmail, subject,
+    body: plain, cc, bcc, tags,
+    agent: agentName, previousAgent: previousAgentName, actor: actorName,
+    author: actorName || agentName,
+    sender: [inboxAddress, agentName].filter(Boolean).join(" - "),
+    inbox: inboxAddress, inboxName: inbox.name || "",
+    status: statusOf(data), previousStatus: previousStatusOf(data),
+    timestamp: thread?.createdAt || data?.updatedAt || data?.createdAt,
+    attachments: describeAttachments(attachments),
+  };
+  const { note, template } = renderNote(kind, mode, fields, inbox);
+
+  const scope = tenant.id === DEFAULT_TENANT ? "" : `${tenant.id}/`;
+  const dedupeKey = scope + deliveryKey(convId, kind, thread,
+    [subject, plain, fields.status, agentName, data?.updatedAt || ""].join("\n"));
+
+  return { data, eventName, kind, mode, customerEmail, convId, note, template, dedupeKey, attachments };
+}
+
+// Dead letter for a composed event that wasn't (fully) written.
+function deadLetterFor(composed, tenant, reason, details) {
+  const { customerEmail, convId, kind, eventName, dedupeKey, note } = composed;
+  return recordDeadLetter({
+    reason, customerEmail, convId, kind, eventName, dedupeKey, note, details,
+    ...(tenant.id !== DEFAULT_TENANT ? { tenant: tenant.id } : {}),
+  });
+}
+
+// Keeps a verified event that can no longer be processed (e.g. its queued job
+// was lost) as a dead letter, so ops can still retry it. Returns the dead
+// letter ID, or null when the event needs no note.
+async function deadLetterEvent(payload, reason, details, tenant = getTenant(DEFAULT_TENANT)) {
+  const composed = composeNoteEvent(payload, tenant);
+  if (composed.response) return null;
+  return deadLetterFor(composed, tenant, reason, details);
+}
+
+/* ----------------- processing ----------------- */
+async function processNoteEvent(payload, tenant = getTenant(DEFAULT_TENANT)) {
+  const composed = composeNoteEvent(payload, tenant);
+  if (composed.response) return composed.response;
+  const { data, kind, mode, customerEmail, convId, note, template, dedupeKey, attachments } = composed;
+
+  // Skip retries of a delivery we've already written
+  const previous = await previousDelivery(dedupeKey);
+  if (isComplete(previous)) {
+    log.info("duplicate_delivery", { dedupeKey, contactIDs: previous.contactIDs });
+    return {
+      statusCode: 200,
+      body: { ok: true, skipped: "duplicate", contactIDs: previous.contactIDs ?? [] },
+    };
+  }
+
+  // Find aXcelerate contact(s) & add note
+  const axc = createAxcClient(tenantAxcOptions(tenant));
+  // Opt-in (AXC_CREATE_CONTACTS): unknown customers get a minimal contact
+  const create = createEnabledFor(kind) ? { info: contactInfoOf(data) } : null;
+  const result = await deliverNote(axc, { customerEmail, note, dedupeKey, create });
+  const tried = axc.tried;
+
+  // Anything not written is kept as a dead letter for ops to retry
+  const deadLetter = (reason, details) => deadLetterFor(composed, tenant, reason, details);
+
+  if (result.outcome === "not_found" || result.outcome === "ambiguous") {
+    const ambiguous = result.outcome === "ambiguous";
+    log.warn(ambiguous ? "ambiguous_contact" : "contact_not_found",
+      { customerEmail, kind, convId, rejected: result.match.rejected });
+    const deadLetterId = await deadLetter(ambiguous ? "ambiguous_contact" : "contact_not_found", { match: result.match });
+    return {
+      statusCode: 200,
+      body: {
+        ok: true,
+        skipped: ambiguous ? "ambiguous contact" : "contact not found",
+        match: result.match,
+        deadLetterId,
+        tried,
+      },
+    };
+  }
+
+  if (result.outcome === "failed") {
+    log.error("note_write_failed", { kind, convId, error: result.error, written: result.written });
+    const deadLetterId = await deadLetter("write_failed", {
+      error: result.error, written: result.written, match: result.match,
+    });
+    return {
+      statusCode: 502,
+      body: {
+        error: "aXcelerate note create failed",
+        status: result.error.status,
+        code: result.error.code,
+        written: result.written,
+        deadLetterId,
+      },
+    };
+  }
+
+  // Archival is reported on its own; a failed upload doesn't fail the note
+  let archive;
+  if (archiveEnabled() && attachments.length && mode === "log") {
+    archive = await archiveAttachments(axc, result.contactIDs, attachments);
+    const failed = archive.filter((r) => r.status === "failed");
+    if (failed.length) log.warn("attachment_archive_failed", { convId, failed });
+  }
+
+  log.info("note_written", {
+    kind, convId, contactIDs: result.contactIDs, created: result.created ?? null,
+    confidence: result.match.confidence, template, noteLength: note.length,
+  });
+
+  return {
+    statusCode: 200,
+    body: {
+      ok: true,
+      contactID: result.contactIDs[0],
+      contactIDs: result.contactIDs,
+      ...(result.created != null ? { createdContactID: result.created } : {}),
+      email: customerEmail,
+      match: result.match,
+      kind,
+      template,
+      noteLength: note.length,
+      attachments: attachments.length,
+      ...(archive ? { archive } : {}),
+    },
+  };
+}
+
+module.exports = {
+  screenNoteEvent,
+  processNoteEvent,
+  deadLetterEvent,
+};
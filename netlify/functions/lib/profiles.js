@@ -0,0 +1,131 @@
+// netlify/functions/lib/profiles.js
+// Output profiles for contact lookups: which contact and enrolment fields a
+// caller gets back, which are masked and which are dropped.
+//
+//   sidebar - helpdesk view: the contact summary and program summaries only,
+//             phones masked to the last 4 digits, no street address
+//   full    - every field aXcelerate returns (the original behaviour)
+//   audit   - every field, but identifiers masked (USI, DOB, phones) and
+//             custom fields dropped
+//
+// Which profiles each caller may use comes from LOOKUP_PROFILES (JSON), keyed
+// by caller name from lib/auth.js ("signed-token" for signed links, "*" for
+// everyone else). The first profile listed is the caller's default:
+//   {"reports":["full","audit"],"signed-token":["sidebar"],"*":["sidebar"]}
+// Without it every caller is limited to sidebar.
+
+const { createLogger } = require("./log");
+
+const log = createLogger("profiles");
+
+const PROFILES = {
+  sidebar: {
+    contact: {
+      from: "summary",
+      drop: ["ADDRESS1", "ADDRESS2", "POSTCODE"],
+      mask: { MOBILEPHONE: "last4", PHONE: "last4", WORKPHONE: "last4" },
+    },
+    enrolments: { from: "summary" },
+    contactSummary: false,
+  },
+  full: {
+    contact: { from: "raw" },
+    enrolments: { from: "raw" },
+    contactSummary: true,
+  },
+  audit: {
+    contact: {
+      from: "raw",
+      dropPrefixes: ["CUSTOMFIELD_"],
+      mask: {
+        USI: "last4", DOB: "year", BIRTHDATE: "year",
+        MOBILEPHONE: "last4", PHONE: "last4", WORKPHONE: "last4",
+      },
+    },
+    enrolments: { from: "raw" },
+    contactSummary: true,
+  },
+};
+
+const MASKS = {
+  last4: (v) => {
+    const s = String(v);
+    return s.length <= 4 ? "****" : `****${s.replace(/\s+/g, "").slice(-4)}`;
+  },
+  // Keeps the year only: "1990-05-17" / "17/05/1990" -> "1990"
+  year: (v) => String(v).match(/\b(\d{4})\b/)?.[1] ?? "****",
+  redact: () => "[redacted]",
+};
+
+function loadCallerProfiles() {
+  const fallback = { "*": ["sidebar"] };
+  const raw = process.env.LOOKUP_PROFILES;
+  if (!raw) return fallback;
+  try {
+    const parsed = JSON.parse(raw);
+    const out = {};
+    for (const [caller, list] of Object.entries(parsed || {})) {
+      const valid = (Array.isArray(list) ? list : [list]).filter((p) => p in PROFILES);
+      if (valid.length) out[caller] = valid;
+    }
+    return Object.keys(out).length ? out : fallback;
+  } catch {
+    log.warn("config_invalid", { env: "LOOKUP_PROFILES", fallback: "sidebar" });
+    return fallback;
+  }
+}
+const CALLER_PROFILES = loadCallerProfiles();
+
+// Returns { ok: true, name } or { ok: false, statusCode, error }.
+function selectProfile(caller, requested) {
+  const allowed = CALLER_PROFILES[caller] || CALLER_PROFILES["*"] || [];
+  if (!requested) {
+    return allowed.length
+      ? { ok: true, name: allowed[0] }
+      : { ok: false, statusCode: 403, error: "No output profile allowed for this caller" };
+  }
+  const name = String(requested).trim().toLowerCase();
+  if (!(name in PROFILES)) {
+    return { ok: false, statusCode: 400, error: `Unknown profile "${name}"; use ${Object.keys(PROFILES).join(", ")}` };
+  }
+  if (!allowed.includes(name)) return { ok: false, statusCode: 403, error: `Profile "${name}" not allowed for this caller` };
+  return { ok: true, name };
+}
+
+function applyRules(record, rules = {}) {
+  if (!record) return record;
+  const out = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (rules.drop?.includes(key)) continue;
+    if (rules.dropPrefixes?.some((p) => key.startsWith(p))) continue;
+    const mask = rules.mask?.[key];
+    out[key] = mask && value != null && value !== "" ? MASKS[mask](value) : value;
+  }
+  return out;
+}
+
+// views: { contact, contactSummary, programEnrolments, programSummaries, currentQualifications }
+// Returns the contact/contactSummary/programEnrolments/currentQualifications to
+// put in the response. currentQualifications are summaries under every profile,
+// but get the same enrolment rules.
+function project(profileName, views) {
+  const profile = PROFILES[profileName];
+  const contactSource = profile.contact.from === "summary" ? views.contactSummary : views.contact;
+  const enrolmentSource = profile.enrolments.from === "summary" ? views.programSummaries : views.programEnrolments;
+  const out = {
+    contact: applyRules(contactSource, profile.contact),
+    programEnrolments: (enrolmentSource || []).map((e) => applyRules(e, profile.enrolments)),
+    currentQualifications: (views.currentQualifications || []).map((e) => applyRules(e, profile.enrolments)),
+  };
+  if (profile.contactSummary) out.contactSummary = applyRules(views.contactSummary, profile.contact);
+  return out;
+}
+
+// Any other enrolment list (?type= / ?status= / the timeline): the raw rows,
+// or summarize(row) under profiles that only show summaries.
+function projectEnrolments(profileName, rows, summarize) {
+  const rules = PROFILES[profileName].enrolments;
+  return rows.map((e) => applyRules(rules.from === "summary" ? summarize(e) : e, rules));
+}
+
+module.exports = { PROFILES, selectProfile, project, projectEnrolments, applyRules };
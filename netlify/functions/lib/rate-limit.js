@@ -0,0 +1,102 @@
+// netlify/functions/lib/rate-limit.js
+// Fixed-window rate limits for contact-and-enrolments: per client IP (checked
+// before authentication, so it also slows down key guessing) and per caller
+// (the API key name from lib/auth.js, or "signed-token" for signed links).
+//
+// Env vars:
+//   LOOKUP_RATE_LIMIT_IP  "<requests>/<seconds>" per client IP (default "120/60"; "off")
+//   LOOKUP_RATE_LIMITS    JSON, per caller name with "*" for everyone else (default {"*":"600/60"}):
+//                         {"reports":"5000/3600","signed-token":"300/60","*":"600/60"}
+//                         Batch lookups count each email against the caller's limit.
+//   RATE_LIMIT_STORE      memory | file | blobs (default: the STORE_BACKEND choice, see lib/store.js)
+//
+// Counters live in the "rate-limits" store, or any { get, set } store passed
+// to createRateLimiter. The memory backend counts per function instance, so
+// production wants the shared one. Counts are read-then-written, not atomic:
+// under a burst of concurrent requests a few may get past the limit.
+// A store that can't be reached lets requests through (logged), so a store
+// outage doesn't take lookups down with it.
+// Each bucket has one key holding { window, count }; a request in a new window
+// overwrites it, and the key expires with its window, so idle buckets don't
+// pile up.
+
+const { createStore } = require("./store");
+const { createLogger } = require("./log");
+const { header } = require("./auth");
+
+const log = createLogger("rate-limit");
+
+const DEFAULT_IP_LIMIT = "120/60";
+const DEFAULT_CALLER_LIMIT = "600/60";
+
+// "120/60" -> { limit: 120, windowMs: 60000 }; "off" -> null
+function parseLimit(value, envName) {
+  const s = String(value ?? "").trim().toLowerCase();
+  if (s === "off" || s === "false" || s === "0") return null;
+  const m = s.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!m || !Number(m[1]) || !Number(m[2])) {
+    log.warn("config_invalid", { env: envName, value: s });
+    return null;
+  }
+  return { limit: Number(m[1]), windowMs: Number(m[2]) * 1000 };
+}
+
+function loadCallerLimits() {
+  const raw = process.env.LOOKUP_RATE_LIMITS;
+  let parsed = {};
+  if (raw) {
+    try { parsed = JSON.parse(raw) || {}; } catch {
+      log.warn("config_invalid", { env: "LOOKUP_RATE_LIMITS", fallback: "defaults" });
+    }
+  }
+  const limits = {};
+  for (const [caller, value] of Object.entries({ "*": DEFAULT_CALLER_LIMIT, ...parsed })) {
+    limits[caller] = parseLimit(value, "LOOKUP_RATE_LIMITS");
+  }
+  return limits;
+}
+const CALLER_LIMITS = loadCallerLimits();
+const IP_LIMIT = parseLimit(process.env.LOOKUP_RATE_LIMIT_IP || DEFAULT_IP_LIMIT, "LOOKUP_RATE_LIMIT_IP");
+
+const callerLimit = (caller) => (caller in CALLER_LIMITS ? CALLER_LIMITS[caller] : CALLER_LIMITS["*"]);
+
+// The address Netlify saw the request come from; X-Forwarded-For's first hop otherwise.
+function clientIp(event) {
+  return header(event, "x-nf-client-connection-ip") ||
+    header(event, "x-forwarded-for").split(",")[0].trim() ||
+    header(event, "client-ip") ||
+    "unknown";
+}
+
+/* ----------------- limiter ----------------- */
+function createRateLimiter({ store } = {}) {
+  const counters = store || createStore("rate-limits", { backend: process.env.RATE_LIMIT_STORE || undefined });
+
+  // Spends `cost` from the bucket's current window.
+  // Returns { ok: true, remaining } or { ok: false, retryAfter } (seconds).
+  async function take(bucket, rule, cost = 1, now = Date.now()) {
+    if (!rule) return { ok: true, remaining: null };
+    const window = Math.floor(now / rule.windowMs);
+    const windowEndsIn = (window + 1) * rule.windowMs - now;
+    const retryAfter = Math.max(1, Math.ceil(windowEndsIn / 1000));
+    try {
+      const counter = await counters.get(bucket);
+      const used = counter?.window === window ? Number(counter.count) || 0 : 0;
+      if (used + cost > rule.limit) return { ok: false, limit: rule.limit, retryAfter };
+      await counters.set(bucket, { window, count: used + cost }, { ttlMs: Math.max(1, windowEndsIn) });
+      return { ok: true, limit: rule.limit, remaining: rule.limit - used - cost };
+    } catch (err) {
+      log.warn("rate_limit_store_failed", { bucket, error: err });
+      return { ok: true, remaining: null };
+    }
+  }
+
+  return {
+    take,
+    ip: (event, cost = 1) => take(`ip:${clientIp(event)}`, IP_LIMIT, cost),
+    // Callers of different tenants (lib/tenants.js) may share a name
+    caller: (tenantId, caller, cost = 1) => take(`caller:${tenantId}:${caller}`, callerLimit(caller), cost),
+  };
+}
+
+module.exports = { createRateLimiter, parseLimit, clientIp };
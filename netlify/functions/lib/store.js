@@ -0,0 +1,145 @@
+// netlify/functions/lib/store.js
+// Tiny key/value store shared by the functions (webhook dedupe, etc.).
+//
+// Backends (env STORE_BACKEND overrides the automatic choice):
+//   blobs  - Netlify Blobs, always used on Netlify (NETLIFY / CONTEXT set);
+//            functions call connectStores(event) before touching a store
+//   file   - one JSON file per key under STORE_DIR, handy for local dev
+//   memory - per-process Map, the fallback off Netlify when nothing else is configured
+// On Netlify a missing @netlify/blobs is an error, not a quiet fall back to
+// memory: a per-instance Map would silently break dedupe, dead letters, the
+// job queue and everything else that has to outlive one function instance.
+//
+// Values are JSON. An optional ttlMs is stored alongside the value and
+// enforced on read, so expired keys behave as missing on every backend.
+
+const fs = require("fs/promises");
+const path = require("path");
+const { createLogger } = require("./log");
+
+const log = createLogger("store");
+
+let blobsModule;
+function loadBlobs() {
+  if (blobsModule !== undefined) return blobsModule;
+  try { blobsModule = require("@netlify/blobs"); } catch { blobsModule = null; }
+  return blobsModule;
+}
+
+// Lambda-compatible functions must hand the Blobs context over explicitly.
+function connectStores(event) {
+  const blobs = loadBlobs();
+  if (!blobs?.connectLambda || !event?.blobs) return;
+  try { blobs.connectLambda(event); } catch (err) {
+    log.warn("blobs_connect_failed", { error: err });
+  }
+}
+
+const onNetlify = () => !!(process.env.NETLIFY || process.env.CONTEXT);
+
+function backendName() {
+  const forced = (process.env.STORE_BACKEND || "").trim().toLowerCase();
+  if (forced) return forced;
+  if (onNetlify()) {
+    if (!loadBlobs()) throw new Error("@netlify/blobs is not installed; the stores need it on Netlify");
+    return "blobs";
+  }
+  if (loadBlobs() && process.env.NETLIFY_BLOBS_CONTEXT) return "blobs";
+  if (process.env.STORE_DIR) return "file";
+  return "memory";
+}
+
+/* ----------------- backends ----------------- */
+const memoryMaps = new Map();
+function memoryBackend(name) {
+  if (!memoryMaps.has(name)) memoryMaps.set(name, new Map());
+  const map = memoryMaps.get(name);
+  return {
+    async read(key) { return map.has(key) ? map.get(key) : null; },
+    async write(key, envelope) { map.set(key, envelope); },
+    async remove(key) { map.delete(key); },
+    async keys(prefix) { return [...map.keys()].filter(k => k.startsWith(prefix)); },
+  };
+}
+
+function fileBackend(name) {
+  const dir = path.join(process.env.STORE_DIR || ".store", name);
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+  return {
+    async read(key) {
+      try { return JSON.parse(await fs.readFile(fileFor(key), "utf8")); }
+      catch (err) { if (err.code === "ENOENT") return null; throw err; }
+    },
+    async write(key, envelope) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify(envelope));
+    },
+    async remove(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    async keys(prefix) {
+      let files;
+      try { files = await fs.readdir(dir); }
+      catch (err) { if (err.code === "ENOENT") return []; throw err; }
+      return files
+        .filter(f => f.endsWith(".json"))
+        .map(f => decodeURIComponent(f.slice(0, -5)))
+        .filter(k => k.startsWith(prefix));
+    },
+  };
+}
+
+function blobsBackend(name) {
+  const store = loadBlobs().getStore({ name, consistency: "strong" });
+  return {
+    async read(key) { return (await store.get(key, { type: "json" })) ?? null; },
+    async write(key, envelope) { await store.setJSON(key, envelope); },
+    async remove(key) { await store.delete(key); },
+    async keys(prefix) {
+      const { blobs } = await store.list(prefix ? { prefix } : {});
+      return blobs.map(b => b.key);
+    },
+  };
+}
+
+const BACKENDS = { memory: memoryBackend, file: fileBackend, blobs: blobsBackend };
+
+/* ----------------- public API ----------------- */
+// options.backend pins the store to one backend (e.g. a per-process "memory"
+// tier in front of the shared one) instead of following backendName().
+function createStore(name, options = {}) {
+  // Resolved per call: connectStores() may only run once the first event arrives.
+  function backend() {
+    const kind = options.backend || backendName();
+    const make = BACKENDS[kind];
+    if (!make) throw new Error(`Unknown STORE_BACKEND "${kind}"`);
+    return make(name);
+  }
+
+  return {
+    name,
+    async get(key) {
+      const b = backend();
+      const envelope = await b.read(key);
+      if (!envelope) return null;
+      if (envelope.exp && envelope.exp <= Date.now()) {
+        await b.remove(key);
+        return null;
+      }
+      return envelope.v;
+    },
+    async set(key, value, { ttlMs } = {}) {
+      const envelope = { v: value };
+      if (ttlMs) envelope.exp = Date.now() + ttlMs;
+      await backend().write(key, envelope);
+    },
+    async delete(key) {
+      await backend().remove(key);
+    },
+    async list(prefix = "") {
+      return backend().keys(prefix);
+    },
+  };
+}
+
+module.exports = { createStore, connectStores, backendName };
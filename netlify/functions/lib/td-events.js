@@ -0,0 +1,176 @@
+// netlify/functions/lib/td-events.js
+// Maps ThriveDesk webhook events onto the kinds of aXcelerate note we write
+// (the layout of each kind lives in lib/note-templates.js).
+//
+// Per-kind behaviour is configurable with TD_EVENT_MODES (JSON), e.g.
+//   {"internal_note":"summary","status_changed":"skip"}
+// Modes:
+//   log     - full note (headers + message body where the kind has one)
+//   summary - a single line, no body
+//   skip    - acknowledge the webhook without writing anything
+//
+// Event names not in EVENT_ALIASES are logged as a warning and classified by
+// the conversation's newest thread; with no usable thread they are "unknown".
+
+const { createLogger } = require("./log");
+
+const log = createLogger("td-events");
+
+const MODES = ["log", "summary", "skip"];
+
+const DEFAULT_MODES = {
+  outbound_email: "log",
+  inbound_email: "log",
+  internal_note: "log",
+  conversation_closed: "log",
+  conversation_reopened: "log",
+  status_changed: "log",
+  assignment_changed: "log",
+  unknown: "skip",
+};
+
+// Event names are normalised (lowercase, "." separators) before lookup.
+// Generic "status" events are resolved from the payload in classifyEvent.
+const EVENT_ALIASES = {
+  "conversation.replied": "outbound_email",
+  "conversation.agent_replied": "outbound_email",
+  "agent.replied": "outbound_email",
+  "reply.sent": "outbound_email",
+  "thread.outbound": "outbound_email",
+
+  "conversation.created": "inbound_email",
+  "conversation.customer_replied": "inbound_email",
+  "customer.replied": "inbound_email",
+  "thread.inbound": "inbound_email",
+
+  "conversation.note_added": "internal_note",
+  "note.created": "internal_note",
+  "note.added": "internal_note",
+
+  "conversation.closed": "conversation_closed",
+  "conversation.reopened": "conversation_reopened",
+  "conversation.status_changed": "status",
+  "conversation.status_updated": "status",
+  "status.changed": "status",
+
+  "conversation.assigned": "assignment_changed",
+  "conversation.reassigned": "assignment_changed",
+  "conversation.assignee_changed": "assignment_changed",
+  "assignee.changed": "assignment_changed",
+};
+
+// Which thread each kind reads its subject/body from
+const THREAD_MATCHERS = {
+  outbound_email: { type: "email", direction: "outbound" },
+  inbound_email: { type: "email", direction: "inbound" },
+  internal_note: { type: "note" },
+};
+
+const lower = (s) => String(s ?? "").trim().toLowerCase();
+
+function loadModes() {
+  const modes = { ...DEFAULT_MODES };
+  const raw = process.env.TD_EVENT_MODES;
+  if (!raw) return modes;
+  let parsed;
+  try { parsed = JSON.parse(raw); } catch {
+    log.warn("config_invalid", { env: "TD_EVENT_MODES", fallback: "defaults" });
+    return modes;
+  }
+  for (const [kind, mode] of Object.entries(parsed || {})) {
+    if (!(kind in DEFAULT_MODES) || !MODES.includes(lower(mode))) {
+      log.warn("config_entry_ignored", { env: "TD_EVENT_MODES", kind, mode });
+      continue;
+    }
+    modes[kind] = lower(mode);
+  }
+  return modes;
+}
+const EVENT_MODES = loadModes();
+
+function eventMode(kind) {
+  return EVENT_MODES[kind] || EVENT_MODES.unknown;
+}
+
+/* ----------------- classification ----------------- */
+function normalizeEventName(name) {
+  return lower(name).replace(/[\s:/]+/g, ".");
+}
+function eventNameOf(payload) {
+  return normalizeEventName(
+    payload?.event || payload?.eventType || payload?.type || payload?.data?.event || ""
+  );
+}
+function threadsOf(data) {
+  return Array.isArray(data?.threads)
+    ? data.threads
+    : Array.isArray(data?.conversation?.threads)
+    ? data.conversation.threads
+    : [];
+}
+function threadMatches(t, matcher) {
+  if (lower(t?.type) !== matcher.type) return false;
+  return !matcher.direction || lower(t?.direction) === matcher.direction;
+}
+function lastThread(data, kind) {
+  const matcher = THREAD_MATCHERS[kind];
+  if (!matcher) return null;
+  const threads = threadsOf(data);
+  for (let i = threads.length - 1; i >= 0; i--) {
+    if (threadMatches(threads[i], matcher)) return threads[i];
+  }
+  return null;
+}
+function statusOf(data) {
+  return lower(data?.status || data?.conversation?.status);
+}
+function previousStatusOf(data) {
+  return lower(data?.previousStatus || data?.changes?.status?.from || data?.conversation?.previousStatus);
+}
+
+function kindFromStatus(data) {
+  const status = statusOf(data);
+  if (status === "closed") return "conversation_closed";
+  if (previousStatusOf(data) === "closed") return "conversation_reopened";
+  return "status_changed";
+}
+
+// The kind the newest thread is (outbound/inbound email, note), or null.
+function threadKind(data) {
+  const threads = threadsOf(data);
+  const newest = threads[threads.length - 1];
+  if (!newest) return null;
+  return Object.keys(THREAD_MATCHERS).find((kind) => threadMatches(newest, THREAD_MATCHERS[kind])) || null;
+}
+
+// Payloads without an event name fall back to the newest thread, and finally
+// to outbound_email, which is what this function always logged.
+function kindFromThreads(data) {
+  return threadKind(data) || "outbound_email";
+}
+
+function classifyEvent(payload, data) {
+  const name = eventNameOf(payload);
+  if (!name) return { name: null, kind: kindFromThreads(data) };
+  const alias = EVENT_ALIASES[name];
+  if (alias === "status") return { name, kind: kindFromStatus(data) };
+  if (alias) return { name, kind: alias };
+  if (name === "conversation.updated") {
+    if (data?.changes?.assignedTo) return { name, kind: "assignment_changed" };
+    if (data?.changes?.status) return { name, kind: kindFromStatus(data) };
+    return { name, kind: kindFromThreads(data) };
+  }
+  // A name ThriveDesk added since EVENT_ALIASES was written: still logged when
+  // its newest thread says what it is, so new events don't silently drop notes.
+  const kind = threadKind(data);
+  log.warn("unknown_event", { eventName: name, fallback: kind || "unknown" });
+  return { name, kind: kind || "unknown" };
+}
+
+module.exports = {
+  classifyEvent,
+  eventMode,
+  lastThread,
+  statusOf,
+  previousStatusOf,
+};
@@ -0,0 +1,228 @@
+// netlify/functions/lib/td-signature.js
+// ThriveDesk webhook signature verification, shared by add-contact-note and
+// td-echo (which runs it in diagnostics mode).
+//
+// ThriveDesk signs the `data` object of the payload exactly as sent:
+//   X-TD-Signature: base64(HMAC-SHA1(secret, <raw "data" JSON>))
+// That is the only scheme accepted by default ("data-raw"). The looser
+// candidates the webhook used to accept (re-stringified data, the whole body)
+// can be re-enabled with TD_SIGNATURE_LEGACY=true while an integration is
+// being moved over; td-echo reports which scheme a sender actually uses.
+//
+// Env vars:
+//   TD_WEBHOOK_SECRET | THRIVEDESK_SECRET   current secret
+//   TD_WEBHOOK_SECRET_PREVIOUS              previous secret, still accepted during rotation
+//   TD_SIGNATURE_LEGACY                     "true" to also accept data-json / body-raw
+//   TD_SIGNATURE_MAX_AGE                    seconds; when set, the signed content must carry
+//                                           a "timestamp" no further than this from now
+//
+// The replay window only means something if the timestamp is covered by the
+// signature, so it is read from the signed content alone: data.timestamp for
+// the schemes that sign "data", the top-level timestamp (or data.timestamp)
+// for those that sign the whole body. A timestamp header or an unsigned
+// top-level field is ignored; without a signed timestamp the webhook fails
+// as missing_timestamp.
+//
+// Digests are compared with crypto.timingSafeEqual.
+
+const crypto = require("crypto");
+const { header } = require("./auth");
+
+const SIGNATURE_HEADER = "x-td-signature";
+
+// name -> { algo, encoding, message(ctx) }
+const SCHEMES = {
+  "data-raw": { algo: "sha1", encoding: "base64", message: (c) => c.rawData },
+  "data-json": { algo: "sha1", encoding: "base64", message: (c) => c.dataJson },
+  "body-raw": { algo: "sha1", encoding: "base64", message: (c) => c.body },
+  // Only tried in diagnostics, to recognise common misconfigurations
+  "body-json": { algo: "sha1", encoding: "base64", message: (c) => c.bodyJson },
+  "data-json-sha256": { algo: "sha256", encoding: "base64", message: (c) => c.dataJson },
+  "data-json-hex": { algo: "sha1", encoding: "hex", message: (c) => c.dataJson },
+};
+const STRICT_SCHEMES = ["data-raw"];
+const LEGACY_SCHEMES = ["data-raw", "data-json", "body-raw"];
+
+function readSignatureEnv() {
+  const legacy = String(process.env.TD_SIGNATURE_LEGACY || "").toLowerCase() === "true";
+  const maxAge = Number(process.env.TD_SIGNATURE_MAX_AGE || 0);
+  return {
+    secrets: [
+      { name: "current", value: process.env.TD_WEBHOOK_SECRET || process.env.THRIVEDESK_SECRET || "" },
+      { name: "previous", value: process.env.TD_WEBHOOK_SECRET_PREVIOUS || "" },
+    ].filter((s) => s.value),
+    schemes: legacy ? LEGACY_SCHEMES : STRICT_SCHEMES,
+    maxAgeSeconds: Number.isFinite(maxAge) && maxAge > 0 ? maxAge : 0,
+  };
+}
+
+/* ----------------- signed content ----------------- */
+// The value of the top-level "data" key exactly as it appears in the body,
+// found by scanning for the matching bracket (string-aware).
+function extractRawData(body) {
+  const keyIdx = body.indexOf('"data"');
+  if (keyIdx < 0) return null;
+  let i = keyIdx + 6;
+  while (i < body.length && /\s/.test(body[i])) i++;
+  if (body[i] !== ":") return null;
+  i++;
+  while (i < body.length && /\s/.test(body[i])) i++;
+  const start = i;
+  if (body[start] !== "{" && body[start] !== "[") return null;
+
+  let depth = 0, inStr = false, esc = false;
+  for (let j = start; j < body.length; j++) {
+    const ch = body[j];
+    if (inStr) {
+      if (esc) esc = false;
+      else if (ch === "\\") esc = true;
+      else if (ch === '"') inStr = false;
+      continue;
+    }
+    if (ch === '"') { inStr = true; continue; }
+    if (ch === "{" || ch === "[") depth++;
+    else if (ch === "}" || ch === "]") depth--;
+    if (depth === 0) return body.slice(start, j + 1);
+  }
+  return null;
+}
+
+function signedContent(event) {
+  const body = event?.isBase64Encoded
+    ? Buffer.from(event.body || "", "base64").toString("utf8")
+    : String(event?.body || "");
+  let parsed = null;
+  try { parsed = JSON.parse(body); } catch {}
+  const data = parsed && typeof parsed === "object" ? parsed.data : undefined;
+  return {
+    body,
+    parsed,
+    rawData: extractRawData(body),
+    dataJson: data !== undefined ? JSON.stringify(data) : null,
+    bodyJson: parsed ? JSON.stringify(parsed) : null,
+  };
+}
+
+/* ----------------- comparison ----------------- */
+function presentedSignature(event) {
+  return header(event, SIGNATURE_HEADER).replace(/^sha(1|256)=/i, "").trim();
+}
+
+function digest(scheme, secret, message) {
+  return crypto.createHmac(scheme.algo, secret).update(message).digest();
+}
+
+// Decodes the presented signature in the scheme's encoding and compares the
+// bytes in constant time (the length check only reveals the digest size).
+function digestMatches(expected, presented, encoding) {
+  const valid = encoding === "hex" ? /^[0-9a-f]+$/i.test(presented) : /^[A-Za-z0-9+/_-]+=*$/.test(presented);
+  if (!valid) return false;
+  const given = Buffer.from(presented, encoding === "hex" ? "hex" : "base64");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/* ----------------- timestamp window ----------------- */
+function parseTimestamp(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n > 1e12 ? n : n * 1000;   // ms or unix seconds
+  const t = Date.parse(String(value));
+  return Number.isNaN(t) ? null : t;
+}
+
+// signed: the message the matching scheme verified (JSON text)
+function signedTimestamp(signed, schemeName) {
+  let value;
+  try { value = JSON.parse(signed); } catch { return null; }
+  if (schemeName.startsWith("body-")) return value?.timestamp ?? value?.data?.timestamp;
+  return value?.timestamp;
+}
+
+function checkTimestamp(signed, schemeName, maxAgeSeconds, now) {
+  const at = parseTimestamp(signedTimestamp(signed, schemeName));
+  if (at == null) return { ok: false, reason: "missing_timestamp" };
+  const skewSeconds = Math.round(Math.abs(now - at) / 1000);
+  if (skewSeconds > maxAgeSeconds) return { ok: false, reason: "stale_timestamp", skewSeconds };
+  return { ok: true, skewSeconds };
+}
+
+/* ----------------- public API ----------------- */
+// Returns { ok: true, secret, scheme } or { ok: false, reason }.
+// reason: "not_configured" | "missing_signature" | "mismatch" |
+//         "missing_timestamp" | "stale_timestamp"
+function verifyTdSignature(event, options = {}) {
+  const { secrets, schemes, maxAgeSeconds } = { ...readSignatureEnv(), ...options };
+  if (!secrets.length) return { ok: false, reason: "not_configured" };
+
+  const presented = presentedSignature(event);
+  if (!presented) return { ok: false, reason: "missing_signature" };
+
+  const content = signedContent(event);
+  let match = null;
+  let signed = null;
+  for (const name of schemes) {
+    const scheme = SCHEMES[name];
+    const message = scheme.message(content);
+    if (message == null) continue;
+    // Every secret is checked so the timing doesn't reveal which one matched
+    for (const secret of secrets) {
+      if (digestMatches(digest(scheme, secret.value, message), presented, scheme.encoding) && !match) {
+        match = { secret: secret.name, scheme: name };
+        signed = message;
+      }
+    }
+    if (match) break;
+  }
+  if (!match) return { ok: false, reason: "mismatch" };
+
+  if (maxAgeSeconds) {
+    const ts = checkTimestamp(signed, match.scheme, maxAgeSeconds, options.now ?? Date.now());
+    if (!ts.ok) return { ok: false, reason: ts.reason, skewSeconds: ts.skewSeconds };
+  }
+  return { ok: true, ...match };
+}
+
+// Diagnostics for td-echo: which secret/scheme pairs match the presented
+// signature, with the verdict verifyTdSignature would give. Computed digests
+// are never returned, so the endpoint can't be used to sign arbitrary bodies.
+function diagnoseTdSignature(event, options = {}) {
+  const config = { ...readSignatureEnv(), ...options };
+  const presented = presentedSignature(event);
+  const content = signedContent(event);
+
+  const candidates = [];
+  for (const [name, scheme] of Object.entries(SCHEMES)) {
+    const message = scheme.message(content);
+    for (const secret of config.secrets) {
+      candidates.push({
+        scheme: name,
+        secret: secret.name,
+        accepted: config.schemes.includes(name),
+        available: message != null,
+        match: message != null && !!presented &&
+          digestMatches(digest(scheme, secret.value, message), presented, scheme.encoding),
+      });
+    }
+  }
+
+  const verdict = verifyTdSignature(event, config);
+  return {
+    signaturePresent: !!presented,
+    secretsConfigured: config.secrets.length,
+    acceptedSchemes: config.schemes,
+    maxAgeSeconds: config.maxAgeSeconds,
+    hasData: content.dataJson != null,
+    usedRawDataSubstring: content.rawData != null,
+    verdict,
+    match: candidates.find((c) => c.match) || null,
+    candidates,
+  };
+}
+
+module.exports = {
+  verifyTdSignature,
+  diagnoseTdSignature,
+  readSignatureEnv,
+  extractRawData,
+  SCHEMES,
+};
@@ -0,0 +1,244 @@
+// netlify/functions/lib/tenants.js
+// Tenant registry, for groups running several aXcelerate instances (RTOs)
+// and ThriveDesk inboxes: which instance, credentials and portal a request
+// belongs to.
+//
+// TENANTS (JSON) or TENANTS_FILE (path to a JSON file):
+//   {
+//     "vetnurse": {
+//       "axc": {
+//         "baseUrl": "https://vetnurse.app.axcelerate.com",
+//         "apiToken": "env:VETNURSE_AXC_API_TOKEN",
+//         "wsToken": "env:VETNURSE_AXC_WS_TOKEN",
+//         "portalUrl": "https://vetnurse.app.axcelerate.com"      // optional
+//       },
+//       "inboxes": ["support@vetnurse.edu.au", 1234],   // ThriveDesk inbox addresses / IDs
+//       "webhookSecrets": ["env:VETNURSE_TD_SECRET"],   // current first, then previous
+//       "lookupKeys": "env:VETNURSE_LOOKUP_KEYS",       // "name:key,…" as in lib/auth.js
+//       "lookupTokenSecrets": [],
+//       "contactUpdateKeys": []
+//     },
+//     "petcare": { … }
+//   }
+// Any string value of the form "env:NAME" is read from that env var, so the
+// registry itself can hold no secrets. List fields take an array or a
+// comma-separated string.
+//
+// Routing:
+//   webhooks  - tenants listing the payload's inbox (address or ID); if none
+//               does, tenants without an inbox list. Among those, the one whose
+//               webhook secret verifies the signature.
+//   lookups / contact updates - the tenant owning the presented API key or
+//               the secret a lookup token was signed with.
+// Anything that matches no tenant is rejected.
+//
+// Without TENANTS / TENANTS_FILE there is one tenant, "default", built from
+// the single-instance env vars (AXC_*, TD_WEBHOOK_SECRET*, LOOKUP_API_KEYS,
+// LOOKUP_TOKEN_SECRET, CONTACT_UPDATE_API_KEYS), and everything behaves as
+// it always has. An unreadable registry fails closed: no tenants at all.
+
+const fs = require("fs");
+const { createLogger } = require("./log");
+const { readAxcEnv } = require("./axc");
+const { splitList, parseKeys, matchApiKey, verifyLookupToken, requireApiKey } = require("./auth");
+const { readSignatureEnv, verifyTdSignature } = require("./td-signature");
+
+const log = createLogger("tenants");
+
+const DEFAULT_TENANT = "default";
+
+// Key kind -> the env var that holds it in the single-tenant setup
+const KEY_ENVS = {
+  lookupKeys: "LOOKUP_API_KEYS",
+  contactUpdateKeys: "CONTACT_UPDATE_API_KEYS",
+};
+
+const lower = (s) => String(s ?? "").trim().toLowerCase();
+
+/* ----------------- registry ----------------- */
+function resolveValue(value) {
+  if (typeof value !== "string") return value;
+  const m = value.match(/^env:([\w.-]+)$/);
+  return m ? (process.env[m[1]] || "").trim() : value.trim();
+}
+
+function resolveList(value) {
+  const items = Array.isArray(value) ? value : value == null ? [] : [value];
+  return items.flatMap((item) => {
+    const v = resolveValue(item);
+    return typeof v === "string" ? splitList(v) : v == null ? [] : [String(v)];
+  });
+}
+
+function tenantFrom(id, raw) {
+  const axc = raw?.axc || {};
+  const secrets = resolveList(raw?.webhookSecrets);
+  return {
+    id,
+    axc: {
+      baseUrl: String(resolveValue(axc.baseUrl) || "").replace(/\/+$/, ""),
+      apiToken: resolveValue(axc.apiToken) || "",
+      wsToken: resolveValue(axc.wsToken) || "",
+      portalUrl: String(resolveValue(axc.portalUrl) || "").replace(/\/+$/, ""),
+    },
+    inboxes: resolveList(raw?.inboxes).map(lower),
+    webhookSecrets: secrets.map((value, i) => ({ name: i === 0 ? "current" : i === 1 ? "previous" : `previous${i}`, value })),
+    lookupKeys: parseKeys(resolveList(raw?.lookupKeys)),
+    lookupTokenSecrets: resolveList(raw?.lookupTokenSecrets),
+    contactUpdateKeys: parseKeys(resolveList(raw?.contactUpdateKeys)),
+  };
+}
+
+// The single-instance env vars as a tenant. Keys and secrets stay in env:
+// the key checks below go through lib/auth.js with the env var names.
+function envTenant() {
+  return {
+    id: DEFAULT_TENANT,
+    axc: readAxcEnv(),
+    inboxes: [],
+    webhookSecrets: readSignatureEnv().secrets,
+  };
+}
+
+function readRegistry() {
+  const inline = process.env.TENANTS;
+  const file = process.env.TENANTS_FILE;
+  if (!inline && !file) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(inline || fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    log.error("config_invalid", { env: inline ? "TENANTS" : "TENANTS_FILE", error: err, fallback: "no tenants" });
+    return [];
+  }
+  const tenants = [];
+  for (const [id, raw] of Object.entries(parsed || {})) {
+    if (!/^[\w-]{1,64}$/.test(id) || !raw || typeof raw !== "object") {
+      log.warn("config_entry_ignored", { env: "TENANTS", tenant: id });
+      continue;
+    }
+    const tenant = tenantFrom(id, raw);
+    const missing = ["baseUrl", "apiToken", "wsToken"].filter((k) => !tenant.axc[k]);
+    if (missing.length) log.warn("tenant_incomplete", { tenant: id, missing });
+    tenants.push(tenant);
+  }
+  return tenants;
+}
+
+let registry;
+function tenants() {
+  if (registry === undefined) registry = readRegistry();
+  return registry || [envTenant()];
+}
+
+// True when a registry is configured (even an invalid, empty one).
+function multiTenant() {
+  tenants();
+  return registry !== null;
+}
+
+function getTenant(id) {
+  return tenants().find((t) => t.id === (id || DEFAULT_TENANT)) || null;
+}
+
+// Options for createAxcClient (lib/axc.js).
+function tenantAxcOptions(tenant) {
+  return { ...tenant.axc, tenantId: tenant.id };
+}
+
+/* ----------------- webhooks ----------------- */
+function inboxIdentifiers(payload) {
+  const data = payload?.data || payload;
+  const inbox = data?.inbox || data?.conversation?.inbox || {};
+  return [inbox.id, inbox.connectedEmailAddress, inbox.inboxAddress, inbox.email]
+    .filter((v) => v != null && v !== "")
+    .map(lower);
+}
+
+// Tenants a webhook can belong to, judged by its inbox alone.
+function webhookCandidates(payload) {
+  const ids = inboxIdentifiers(payload);
+  const listed = tenants().filter((t) => t.inboxes.some((i) => ids.includes(i)));
+  return listed.length ? listed : tenants().filter((t) => !t.inboxes.length);
+}
+
+// Verifies the webhook signature against the candidate tenants' secrets.
+// Returns { tenant, signature } where signature is the verifyTdSignature
+// result with `secret` back to "current" / "previous", and tenant is null
+// when no tenant can be told apart (no candidates, or several and no
+// verified signature to choose between them).
+function routeWebhook(event, payload) {
+  const candidates = webhookCandidates(payload);
+  const owners = new Map();
+  const secrets = candidates.flatMap((t) => t.webhookSecrets.map((s) => {
+    const name = `${t.id}:${s.name}`;
+    owners.set(name, { tenant: t, secret: s.name });
+    return { name, value: s.value };
+  }));
+
+  const verified = verifyTdSignature(event, { secrets });
+  if (verified.ok) {
+    const owner = owners.get(verified.secret);
+    return { tenant: owner.tenant, signature: { ...verified, secret: owner.secret } };
+  }
+  return { tenant: candidates.length === 1 ? candidates[0] : null, signature: verified, candidates: candidates.length };
+}
+
+// Every tenant's webhook secrets, for td-echo. Named only "current" /
+// "previous": td-echo is open, so its report mustn't list tenant IDs.
+function allWebhookSecrets() {
+  if (!multiTenant()) return envTenant().webhookSecrets;
+  return tenants().flatMap((t) => t.webhookSecrets);
+}
+
+/* ----------------- API keys / lookup tokens ----------------- */
+// kind: "lookupKeys" | "contactUpdateKeys".
+// Returns { ok: true, tenant, caller } or { ok: false, statusCode, error }.
+function tenantForApiKey(event, kind) {
+  if (!multiTenant()) {
+    const auth = requireApiKey(event, KEY_ENVS[kind]);
+    return auth.ok ? { ...auth, tenant: getTenant(DEFAULT_TENANT) } : auth;
+  }
+  const keys = tenants().flatMap((t) => t[kind].map((k) => ({ ...k, tenant: t })));
+  const auth = matchApiKey(event, keys, `${kind} (TENANTS)`);
+  if (!auth.ok) return auth;
+  return { ok: true, caller: auth.caller, tenant: auth.key.tenant };
+}
+
+// The secret new lookup tokens are signed with: the tenant's current one
+// (first listed), or "" when it has none.
+function lookupTokenSecret(tenant) {
+  const secrets = multiTenant() ? tenant?.lookupTokenSecrets || [] : splitList(process.env.LOOKUP_TOKEN_SECRET);
+  return secrets[0] || "";
+}
+
+// Signed lookup links: the tenant whose secret the token was signed with.
+function tenantForLookupToken(params, maxTtlSeconds) {
+  if (!multiTenant()) {
+    const auth = verifyLookupToken(params, "LOOKUP_TOKEN_SECRET", maxTtlSeconds);
+    return auth.ok ? { ...auth, tenant: getTenant(DEFAULT_TENANT) } : auth;
+  }
+  const configured = tenants().filter((t) => t.lookupTokenSecrets.length);
+  if (!configured.length) return { ok: false, statusCode: 500, error: "lookupTokenSecrets (TENANTS) is not configured" };
+  let last;
+  for (const tenant of configured) {
+    last = verifyLookupToken(params, tenant.lookupTokenSecrets, maxTtlSeconds);
+    if (last.ok) return { ...last, tenant };
+    // Expired / malformed tokens fail the same way for every tenant
+    if (last.error !== "Invalid token") return last;
+  }
+  return last;
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  multiTenant,
+  tenants,
+  getTenant,
+  tenantAxcOptions,
+  routeWebhook,
+  allWebhookSecrets,
+  tenantForApiKey,
+  tenantForLookupToken,
+  lookupTokenSecret,
+};
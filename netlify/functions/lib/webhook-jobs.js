@@ -0,0 +1,193 @@
+// netlify/functions/lib/webhook-jobs.js
+// Queued note deliveries: add-contact-note verifies a webhook, records a job
+// and hands the payload to add-contact-note-background, which resolves the
+// contact and writes the note. Job IDs are random; the job also records the
+// webhook request's correlation ID (see lib/log.js), which the background
+// function carries on as its own, so the log lines of both functions match.
+//
+// Jobs only work when both functions see the same store (Netlify Blobs, or
+// the file backend locally): with the per-instance memory store the
+// background function could never find the job, so webhooks are then
+// processed inline.
+//
+// Env vars:
+//   NOTE_PROCESSING              "async" (default) or "sync" (process inside the
+//                                webhook request, as before)
+//   NOTE_BACKGROUND_URL          where the background function is invoked (default
+//                                $URL/.netlify/functions/add-contact-note-background,
+//                                URL being set by Netlify); with neither set, or
+//                                without a shared store, webhooks are processed inline
+//   WEBHOOK_DISPATCH_TIMEOUT_MS  how long to wait for the background function to
+//                                accept a job (default 5000)
+//   WEBHOOK_JOB_TTL_DAYS         how long job status is kept (default 7)
+//   WEBHOOK_JOB_LEASE_MINUTES    how long a running job may go without finishing
+//                                before another invocation may take it over
+//                                (default 16: background functions run for up to 15)
+//
+// Job shape:
+// {
+//   id, status: "queued" | "running" | "done" | "failed",
+//   correlationId,                         // of the webhook request that queued it
+//   eventName, kind, convId,
+//   tenant,                                // lib/tenants.js ID the webhook was routed to
+//   processing: "background" | "inline",  // inline: the dispatch failed
+//   receivedAt, startedAt, finishedAt, attempts,
+//   statusCode, result,                    // what the webhook would have answered
+//   error, deadLetterId                    // when processing threw
+// }
+// Each job also holds a hash of a one-time token; the background function
+// only runs a job when handed the matching token, and never twice - unless
+// the run that claimed it outlived its lease (timed out or crashed), when a
+// retried invocation may claim it again.
+//
+// Jobs can be looked up by correlation ID too: createJob keeps an index
+// (correlation ID -> job IDs, newest last) in the "webhook-job-index" store.
+
+const crypto = require("crypto");
+const { createStore, backendName } = require("./store");
+const { createLogger, correlationId } = require("./log");
+
+const ASYNC = String(process.env.NOTE_PROCESSING || "async").trim().toLowerCase() !== "sync";
+const DISPATCH_TIMEOUT_MS = Number(process.env.WEBHOOK_DISPATCH_TIMEOUT_MS || 5000);
+const JOB_TTL_MS = Number(process.env.WEBHOOK_JOB_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+const LEASE_MS = Number(process.env.WEBHOOK_JOB_LEASE_MINUTES || 16) * 60 * 1000;
+const BACKGROUND_PATH = "/.netlify/functions/add-contact-note-background";
+
+const jobs = createStore("webhook-jobs");
+const index = createStore("webhook-job-index");
+
+const log = createLogger("webhook-jobs");
+
+function backgroundUrl() {
+  if (process.env.NOTE_BACKGROUND_URL) return process.env.NOTE_BACKGROUND_URL;
+  const site = (process.env.URL || "").replace(/\/+$/, "");
+  return site ? `${site}${BACKGROUND_PATH}` : "";
+}
+
+// Whether webhooks should be queued rather than processed in the request.
+const asyncEnabled = () => ASYNC && !!backgroundUrl() && backendName() !== "memory";
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest();
+
+// The job as shown to callers (no token hash).
+function publicView(job) {
+  if (!job) return null;
+  const { tokenHash, ...rest } = job;
+  return rest;
+}
+
+async function saveJob(job) {
+  await jobs.set(job.id, job, { ttlMs: JOB_TTL_MS });
+  return job;
+}
+
+/* ----------------- lifecycle ----------------- */
+// Records a queued job; returns the token the background function must
+// present. Throws if a job with this ID exists already.
+async function createJob(id, { eventName, kind, convId, tenant }) {
+  if (await jobs.get(String(id))) throw new Error(`Job ${id} already exists`);
+  const token = crypto.randomBytes(24).toString("base64url");
+  const cid = correlationId();
+  if (cid) {
+    const ids = (await index.get(cid)) || [];
+    await index.set(cid, [...ids, id], { ttlMs: JOB_TTL_MS });
+  }
+  await saveJob({
+    id,
+    correlationId: cid,
+    status: "queued",
+    eventName: eventName ?? null,
+    kind,
+    convId: convId ?? null,
+    tenant: tenant ?? null,
+    processing: "background",
+    receivedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    attempts: 0,
+    tokenHash: hashToken(token).toString("hex"),
+  });
+  return token;
+}
+
+// Invokes the background function with the raw webhook body and its
+// signature (so a job that can't be claimed can still be verified and
+// dead-lettered). Netlify answers 202 as soon as it has accepted the
+// invocation; anything else throws.
+async function dispatchJob(id, token, rawBody, signature) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DISPATCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(backgroundUrl(), {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Correlation-Id": correlationId() || id },
+      body: JSON.stringify({ jobId: id, token, payload: rawBody, signature: signature || "" }),
+      signal: controller.signal,
+    });
+    if (!res.ok) throw new Error(`background function returned ${res.status}`);
+  } catch (err) {
+    if (err?.name === "AbortError") throw new Error(`background function did not answer within ${DISPATCH_TIMEOUT_MS}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Moves a queued job - or a running one whose lease has run out - to
+// running. Returns { ok: true, job } or { ok: false, statusCode, error } for
+// an unknown job, a wrong token or a job that has already started.
+async function claimJob(id, token) {
+  const job = id ? await jobs.get(String(id)) : null;
+  if (!job) return { ok: false, statusCode: 404, error: "Unknown job" };
+  const expected = Buffer.from(job.tokenHash || "", "hex");
+  const presented = hashToken(token || "");
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+    return { ok: false, statusCode: 403, error: "Invalid job token" };
+  }
+  const leaseExpired = job.status === "running" && Date.now() - Date.parse(job.startedAt) > LEASE_MS;
+  if (job.status !== "queued" && !leaseExpired) return { ok: false, statusCode: 409, error: `Job is already ${job.status}` };
+  if (leaseExpired) log.warn("job_lease_expired", { jobId: job.id, startedAt: job.startedAt, attempts: job.attempts });
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  job.attempts = (job.attempts || 0) + 1;
+  return { ok: true, job: await saveJob(job) };
+}
+
+// Records the outcome of processNoteEvent (lib/note-webhook.js), or the error
+// it threw and the dead letter the event was kept as.
+async function finishJob(job, { statusCode, body, error, deadLetterId }) {
+  job.status = !error && statusCode < 400 ? "done" : "failed";
+  job.finishedAt = new Date().toISOString();
+  job.statusCode = error ? 500 : statusCode;
+  job.result = error ? null : body;
+  if (error) job.error = String(error?.message || error);
+  if (deadLetterId) job.deadLetterId = deadLetterId;
+  await saveJob(job);
+  log.info("job_finished", {
+    jobId: job.id, status: job.status, statusCode: job.statusCode, processing: job.processing,
+  });
+  return job;
+}
+
+async function getJob(id) {
+  return publicView(await jobs.get(String(id)));
+}
+
+// Every job queued under a correlation ID, oldest first.
+async function getJobsByCorrelationId(cid) {
+  const ids = (await index.get(String(cid))) || [];
+  const found = await Promise.all(ids.map(getJob));
+  return found.filter(Boolean);
+}
+
+module.exports = {
+  asyncEnabled,
+  backgroundUrl,
+  createJob,
+  dispatchJob,
+  claimJob,
+  finishJob,
+  getJob,
+  getJobsByCorrelationId,
+  publicView,
+};
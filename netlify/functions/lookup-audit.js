@@ -0,0 +1,49 @@
+// Netlify Function: /lookup-audit
+// Compliance view of contact-and-enrolments lookups: who looked up which
+// contact, and when (see lib/lookup-audit.js for the entry shape).
+//
+// Required env vars:
+//   LOOKUP_AUDIT_API_KEYS   key(s), "name:key,…" (see lib/auth.js); sent as
+//                           "Authorization: Bearer <key>" or "x-api-key: <key>"
+//
+// Request:
+//   GET ?since=YYYY-MM-DD&until=YYYY-MM-DD      (default today; at most 31 days)
+//       [&contactID=…][&email=…][&caller=…][&tenant=…]
+//   email is matched by its hash; entries never hold the address itself.
+// Response:
+//   { count, entries: [ …newest first ] }
+
+const { connectStores } = require("./lib/store");
+const { createLogger, withRequest } = require("./lib/log");
+const { requireApiKey } = require("./lib/auth");
+const { listLookups } = require("./lib/lookup-audit");
+
+const log = createLogger("lookup-audit");
+
+const json = (statusCode, data) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+  body: JSON.stringify(data),
+});
+
+exports.handler = withRequest("lookup-audit", async (event) => {
+  try {
+    connectStores(event);
+    if (event.httpMethod !== "GET") return json(405, { error: "Use GET" });
+
+    const auth = requireApiKey(event, "LOOKUP_AUDIT_API_KEYS");
+    if (!auth.ok) return json(auth.statusCode, { error: auth.error });
+
+    const q = event.queryStringParameters || {};
+    const result = await listLookups({
+      since: q.since, until: q.until, tenant: q.tenant, caller: q.caller, contactID: q.contactID, email: q.email,
+    });
+    if (!result.ok) return json(400, { error: result.error });
+
+    log.info("audit_listed", { reviewer: auth.caller, since: q.since ?? null, until: q.until ?? null, count: result.entries.length });
+    return json(200, { count: result.entries.length, entries: result.entries });
+  } catch (err) {
+    log.error("unhandled_error", { error: err });
+    return json(500, { error: String(err?.message || err) });
+  }
+});
@@ -0,0 +1,62 @@
+// Netlify Function: /lookup-token
+// Mints the short-lived signed lookup tokens contact-and-enrolments accepts
+// (see lib/auth.js), so a browser page such as the sidebar widget
+// (public/widget/) can look up one email without holding an API key. Call it
+// server-side, from whatever opens the widget for an agent, and hand the
+// token to the widget in its URL or by postMessage.
+//
+// Required env vars:
+//   LOOKUP_API_KEYS       key(s), "name:key,…" (see lib/auth.js); sent as
+//                         "Authorization: Bearer <key>" or "x-api-key: <key>"
+//   LOOKUP_TOKEN_SECRET   secret(s); new tokens are signed with the first
+// Optional:
+//   LOOKUP_TOKEN_TTL      seconds a token lasts (default 900, at most LOOKUP_TOKEN_MAX_TTL)
+//   LOOKUP_TOKEN_MAX_TTL  as in contact-and-enrolments (default 3600)
+// With TENANTS (lib/tenants.js) the key is one of a tenant's lookupKeys and the
+// token is signed with that tenant's first lookupTokenSecrets entry.
+//
+// Request (POST JSON):
+//   { "email": "student@example.com" }
+// Response:
+//   { email, token, expires, expiresIn }   // expires: unix seconds
+
+const { connectStores } = require("./lib/store");
+const { createLogger, withRequest } = require("./lib/log");
+const { signLookupToken } = require("./lib/auth");
+const { tenantForApiKey, lookupTokenSecret } = require("./lib/tenants");
+
+const log = createLogger("lookup-token");
+
+const MAX_TTL = Number(process.env.LOOKUP_TOKEN_MAX_TTL || 3600);
+const TTL = Math.min(Number(process.env.LOOKUP_TOKEN_TTL || 900), MAX_TTL);
+
+const json = (statusCode, data) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+  body: JSON.stringify(data),
+});
+
+exports.handler = withRequest("lookup-token", async (event) => {
+  try {
+    connectStores(event);
+    if (event.httpMethod !== "POST") return json(405, { error: "Use POST" });
+
+    const auth = tenantForApiKey(event, "lookupKeys");
+    if (!auth.ok) return json(auth.statusCode, { error: auth.error });
+
+    let body;
+    try { body = JSON.parse(event.body || "{}"); } catch { return json(400, { error: "Body must be JSON" }); }
+    const email = String(body?.email ?? "").trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) return json(400, { error: '"email" is required' });
+
+    const secret = lookupTokenSecret(auth.tenant);
+    if (!secret) return json(500, { error: "Lookup token secret is not configured" });
+
+    const expires = Math.floor(Date.now() / 1000) + TTL;
+    log.info("token_minted", { tenant: auth.tenant.id, caller: auth.caller, email, expires });
+    return json(200, { email, token: signLookupToken(secret, email, expires), expires, expiresIn: TTL });
+  } catch (err) {
+    log.error("unhandled_error", { error: err });
+    return json(500, { error: String(err?.message || err) });
+  }
+});
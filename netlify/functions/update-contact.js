@@ -0,0 +1,112 @@
+// Netlify Function: /update-contact
+// Lets agents push corrected phone/address details from a ThriveDesk ticket
+// back to the aXcelerate contact. Only the fields that actually differ are
+// sent, and the response lists them as { from, to }.
+//
+// Required env vars:
+//   CONTACT_UPDATE_API_KEYS   key(s), "name:key,…" (see lib/auth.js); sent as
+//                             "Authorization: Bearer <key>" or "x-api-key: <key>"
+//   AXC_BASE_URL / AXC_API_TOKEN / AXC_WS_TOKEN
+// With TENANTS (lib/tenants.js) the keys are each tenant's contactUpdateKeys and
+// the key presented picks the aXcelerate instance.
+//
+// Request (POST JSON):
+//   {
+//     "contactID": 123 | "email": "student@example.com",   // email must match exactly one contact
+//     "changes": { "mobilePhone": "…", "phone", "workPhone", "address1", "address2",
+//                  "city", "state", "postcode", "country" },
+//     "agent"?: "name for the log",
+//     "dryRun"?: true                                       // report the diff without writing
+//   }
+// Response:
+//   { ok: true, contactID, changed: { <field>: { from, to } }, dryRun, updated: true | false }
+
+const { connectStores } = require("./lib/store");
+const { createLogger, withRequest } = require("./lib/log");
+const { AxcError, missingAxcEnv, createAxcClient, resolveContactByEmail } = require("./lib/axc");
+const { tenantForApiKey, tenantAxcOptions } = require("./lib/tenants");
+const { parseChanges, contactDiff, updateContact } = require("./lib/contact-writes");
+const { invalidateContact } = require("./lib/lookup-cache");
+
+const log = createLogger("update-contact");
+
+const json = (statusCode, data) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+  body: JSON.stringify(data),
+});
+
+// Returns { contactID } or { statusCode, error, … } when the email doesn't
+// identify exactly one contact.
+async function contactIDFor(axc, body) {
+  if (body.contactID != null && body.contactID !== "") return { contactID: body.contactID };
+  const resolved = await resolveContactByEmail(axc, String(body.email), { policy: "refuse" });
+  if (resolved.ambiguous) {
+    return { statusCode: 409, error: "Email matches several contacts; pass contactID", rejected: resolved.rejected };
+  }
+  if (!resolved.contact) return { statusCode: 404, error: "No aXcelerate contact for that email" };
+  if (resolved.confidence === "fuzzy") {
+    return { statusCode: 409, error: "Email only matched by a broad search; pass contactID" };
+  }
+  return { contactID: resolved.contact.CONTACTID };
+}
+
+exports.handler = withRequest("update-contact", async (event) => {
+  try {
+    connectStores(event);
+    if (event.httpMethod !== "POST") return json(405, { error: "Use POST with JSON" });
+
+    const auth = tenantForApiKey(event, "contactUpdateKeys");
+    if (!auth.ok) return json(auth.statusCode, { error: auth.error });
+    const { tenant } = auth;
+
+    const missing = missingAxcEnv(tenant.axc);
+    if (missing.length) return json(500, { error: "Missing aXcelerate env vars", missing });
+
+    let body;
+    try { body = JSON.parse(event.body || "{}"); }
+    catch { return json(400, { error: "Body must be JSON" }); }
+
+    if ((body.contactID == null || body.contactID === "") && !body.email) {
+      return json(400, { error: 'Provide "contactID" or "email"' });
+    }
+    const { changes, errors } = parseChanges(body.changes);
+    if (errors) return json(400, { error: "Invalid changes", details: errors });
+
+    const axc = createAxcClient(tenantAxcOptions(tenant));
+    try {
+      const target = await contactIDFor(axc, body);
+      if (target.contactID == null) {
+        const { statusCode, ...rest } = target;
+        return json(statusCode, rest);
+      }
+      const { contactID } = target;
+
+      const current = await axc.get(`/api/contact/${encodeURIComponent(String(contactID))}`);
+      const contact = Array.isArray(current) ? current[0] : current;
+      if (!contact) return json(404, { error: "Contact not found", contactID });
+
+      const changed = contactDiff(contact, changes);
+      const dryRun = !!body.dryRun;
+      if (dryRun || !Object.keys(changed).length) {
+        return json(200, { ok: true, contactID, changed, dryRun, updated: false });
+      }
+
+      await updateContact(axc, contactID, changed);
+      await invalidateContact(contactID, axc.tenantId);
+      log.info("contact_updated", { contactID, tenant: tenant.id, caller: auth.caller, agent: body.agent || null, fields: Object.keys(changed) });
+      return json(200, { ok: true, contactID, changed, dryRun, updated: true });
+    } catch (err) {
+      if (!(err instanceof AxcError)) throw err;
+      log.error("contact_update_failed", { code: err.code, status: err.status, url: err.url });
+      return json(err.status === 404 ? 404 : 502, {
+        error: err.status === 404 ? "Contact not found" : "aXcelerate update failed",
+        code: err.code,
+        status: err.status,
+      });
+    }
+  } catch (err) {
+    log.error("unhandled_error", { error: err });
+    return json(500, { error: String(err?.message || err) });
+  }
+});
@@ -0,0 +1,52 @@
+// Netlify Function: /webhook-jobs
+// Status of a ThriveDesk webhook delivery queued by add-contact-note, looked
+// up by the jobId from its 202 response, or by the request's correlation ID.
+//
+// Required env vars:
+//   WEBHOOK_JOBS_API_KEYS   key(s), "name:key,…" (see lib/auth.js); sent as
+//                           "Authorization: Bearer <key>" or "x-api-key: <key>"
+//
+// Request:
+//   GET ?id=<jobId> | ?correlationId=<X-Correlation-Id of the webhook request>
+// Response (see lib/webhook-jobs.js), for ?id the job itself, for
+// ?correlationId { correlationId, jobs: [ …oldest first ] } (404 when none):
+//   { id, correlationId, status: "queued" | "running" | "done" | "failed", kind, convId, processing,
+//     receivedAt, startedAt, finishedAt, attempts, statusCode, result, error? }
+//   result is what the webhook would have answered inline: contactIDs and match
+//   when written, skipped + deadLetterId when not, error details when the write failed.
+
+const { connectStores } = require("./lib/store");
+const { createLogger, withRequest } = require("./lib/log");
+const { requireApiKey } = require("./lib/auth");
+const { getJob, getJobsByCorrelationId } = require("./lib/webhook-jobs");
+
+const log = createLogger("webhook-jobs");
+
+const json = (statusCode, data) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" },
+  body: JSON.stringify(data),
+});
+
+exports.handler = withRequest("webhook-jobs", async (event) => {
+  try {
+    connectStores(event);
+    if (event.httpMethod !== "GET") return json(405, { error: "Use GET" });
+
+    const auth = requireApiKey(event, "WEBHOOK_JOBS_API_KEYS");
+    if (!auth.ok) return json(auth.statusCode, { error: auth.error });
+
+    const { id, correlationId } = event.queryStringParameters || {};
+    if (!id && correlationId) {
+      const jobs = await getJobsByCorrelationId(correlationId);
+      return jobs.length ? json(200, { correlationId, jobs }) : json(404, { error: "Job not found" });
+    }
+    if (!id) return json(400, { error: 'Query param "id" or "correlationId" is required' });
+
+    const job = await getJob(id);
+    return job ? json(200, job) : json(404, { error: "Job not found" });
+  } catch (err) {
+    log.error("unhandled_error", { error: err });
+    return json(500, { error: String(err?.message || err) });
+  }
+});
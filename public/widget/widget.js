@@ -0,0 +1,238 @@
+// public/widget/widget.js
+// ThriveDesk custom app: shows the aXcelerate contact and current
+// qualifications for the conversation's customer.
+//
+// The app URL carries the customer email and a signed lookup token (see
+// contact-and-enrolments.js; lookup-token.js mints them), e.g.
+//   /widget/?email={{customer.email}}&token=…&expires=…[&progress=1]
+// The host page may also send them later:
+//   postMessage({ type: "axc-lookup", email, token, expires }, "<widget origin>")
+// Messages are only taken from the origins in the page's
+// <meta name="axc-parent-origins"> (comma-separated). Tokens expire, so when
+// one has (or is about to), the widget asks those origins for a fresh one:
+//   { type: "axc-lookup-token-request", email }
+// and the host answers with another "axc-lookup" message.
+
+(function () {
+  "use strict";
+
+  var ENDPOINT = "/.netlify/functions/contact-and-enrolments";
+  var STATES = ["loading", "empty", "not-found", "ambiguous", "error", "found"];
+  var REFRESH_BEFORE_S = 60;
+  var REFRESH_WAIT_MS = 10000;
+
+  var originsMeta = document.querySelector('meta[name="axc-parent-origins"]');
+  var PARENT_ORIGINS = (originsMeta ? originsMeta.content : "").split(",")
+    .map(function (o) { return o.trim(); })
+    .filter(Boolean);
+
+  var params = new URLSearchParams(window.location.search);
+  var current = {
+    email: (params.get("email") || "").trim(),
+    token: params.get("token") || "",
+    expires: params.get("expires") || "",
+    progress: params.get("progress") === "1",
+  };
+
+  function $(id) { return document.getElementById(id); }
+
+  function show(state) {
+    STATES.forEach(function (s) { $("state-" + s).hidden = s !== state; });
+  }
+
+  function fill(name, value) {
+    document.querySelectorAll('[data-field="' + name + '"]').forEach(function (el) {
+      el.textContent = value == null ? "" : String(value);
+    });
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = String(text);
+    return node;
+  }
+
+  function formatDate(value) {
+    if (!value) return null;
+    var d = new Date(value);
+    if (isNaN(d.getTime())) return String(value);
+    return d.toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+  }
+
+  function badgeClass(status) {
+    var s = String(status || "").toLowerCase();
+    if (/active|in progress|enrolled|current|commenced/.test(s)) return "active";
+    if (/pending|tentative|hold|suspend|deferr/.test(s)) return "pending";
+    if (/withdraw|cancel|expire|lapse/.test(s)) return "inactive";
+    return "";
+  }
+
+  /* ----------------- rendering ----------------- */
+  function renderContact(data) {
+    var c = data.contact || {};
+    var name = [c.GIVENNAME, c.SURNAME].filter(Boolean).join(" ") || "(no name)";
+    fill("name", name);
+    fill("contact-email", c.EMAILADDRESS || current.email);
+
+    var details = $("contact-details");
+    details.textContent = "";
+    [
+      ["Contact ID", c.CONTACTID],
+      ["Mobile", c.MOBILEPHONE],
+      ["Phone", c.PHONE],
+      ["Work", c.WORKPHONE],
+      ["Location", [c.CITY, c.STATE, c.COUNTRY].filter(Boolean).join(", ")],
+    ].forEach(function (row) {
+      if (row[1] == null || row[1] === "") return;
+      details.appendChild(el("dt", null, row[0]));
+      details.appendChild(el("dd", null, row[1]));
+    });
+
+    var link = $("contact-link");
+    var url = data.axcelerateContactUrl || c.CONTACT_LINK;
+    link.hidden = !url;
+    if (url) link.href = url;
+
+    var notices = [];
+    if (data.match && data.match.ambiguous) {
+      notices.push("Several contacts share this email; showing the most recent one.");
+    }
+    if (data.match && data.match.confidence === "fuzzy") {
+      notices.push("Matched by a broad search, not an exact email. Please double-check.");
+    }
+    if (data.truncated) notices.push("Some results were cut off; open aXcelerate for the full record.");
+    $("notice").hidden = !notices.length;
+    $("notice").textContent = notices.join(" ");
+  }
+
+  function renderQualification(q) {
+    var li = el("li");
+    var title = el("div", "title");
+    title.appendChild(el("strong", null, [q.CODE, q.NAME].filter(Boolean).join(" – ") || "(unnamed program)"));
+    title.appendChild(el("span", "badge " + badgeClass(q.STATUS), q.STATUS || "Unknown"));
+    li.appendChild(title);
+
+    var meta = [];
+    if (q.STARTDATE) meta.push("Started " + formatDate(q.STARTDATE));
+    if (q.expectedCompletionDate) meta.push("Expected completion " + formatDate(q.expectedCompletionDate));
+    if (q.lastActivityDate) meta.push("Last activity " + formatDate(q.lastActivityDate));
+    if (meta.length) li.appendChild(el("div", "meta", meta.join(" · ")));
+
+    if (q.unitsTotal) {
+      li.appendChild(el("div", "meta", q.unitsCompleted + " of " + q.unitsTotal + " units completed"));
+      var bar = el("div", "progress");
+      var fillBar = el("span");
+      fillBar.style.width = Math.round((q.unitsCompleted / q.unitsTotal) * 100) + "%";
+      bar.appendChild(fillBar);
+      li.appendChild(bar);
+    }
+    return li;
+  }
+
+  function renderQualifications(list) {
+    var ul = $("qualifications");
+    ul.textContent = "";
+    (list || []).forEach(function (q) { ul.appendChild(renderQualification(q)); });
+    $("no-qualifications").hidden = !!(list && list.length);
+  }
+
+  function renderCandidates(rejected) {
+    var ul = $("candidates");
+    ul.textContent = "";
+    (rejected || []).forEach(function (c) {
+      var name = [c.GIVENNAME, c.SURNAME].filter(Boolean).join(" ") || "(no name)";
+      ul.appendChild(el("li", null, name + " — contact " + c.CONTACTID));
+    });
+  }
+
+  /* ----------------- token refresh ----------------- */
+  var refreshTimer = null;
+  var waitTimer = null;
+
+  function requestToken() {
+    if (window.parent === window) return false;
+    PARENT_ORIGINS.forEach(function (origin) {
+      window.parent.postMessage({ type: "axc-lookup-token-request", email: current.email }, origin);
+    });
+    return PARENT_ORIGINS.length > 0;
+  }
+
+  // Asks for a new token shortly before the current one expires, so "Try
+  // again" and later lookups don't start from an expired one.
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    var expires = Number(current.expires);
+    if (!current.token || !expires) return;
+    var delay = (expires - REFRESH_BEFORE_S) * 1000 - Date.now();
+    refreshTimer = setTimeout(requestToken, Math.max(0, delay));
+  }
+
+  /* ----------------- loading ----------------- */
+  function fail(message) {
+    fill("error", message);
+    show("error");
+  }
+
+  function load() {
+    fill("email", current.email);
+    if (!current.email) return show("empty");
+    show("loading");
+
+    var q = new URLSearchParams({ email: current.email, profile: "sidebar" });
+    if (current.token) q.set("token", current.token);
+    if (current.expires) q.set("expires", current.expires);
+    if (current.progress) q.set("include", "progress");
+
+    fetch(ENDPOINT + "?" + q.toString(), { headers: { Accept: "application/json" } })
+      .then(function (res) {
+        return res.json().catch(function () { return {}; }).then(function (body) {
+          if (!res.ok) {
+            var err = new Error(body.error || "Request failed (" + res.status + ")");
+            err.status = res.status;
+            throw err;
+          }
+          return body;
+        });
+      })
+      .then(function (data) {
+        if (!data.contact) {
+          if (data.match && data.match.ambiguous) {
+            renderCandidates(data.match.rejected);
+            return show("ambiguous");
+          }
+          return show("not-found");
+        }
+        renderContact(data);
+        renderQualifications(data.currentQualifications);
+        show("found");
+      })
+      .catch(function (err) {
+        var message = err && err.message ? err.message : String(err);
+        // An expired token: wait for the host to send a fresh one
+        if (err && err.status === 401 && current.token && requestToken()) {
+          clearTimeout(waitTimer);
+          waitTimer = setTimeout(function () { fail(message); }, REFRESH_WAIT_MS);
+          return;
+        }
+        fail(message);
+      });
+  }
+
+  $("retry").addEventListener("click", load);
+
+  window.addEventListener("message", function (event) {
+    if (event.source !== window.parent || PARENT_ORIGINS.indexOf(event.origin) < 0) return;
+    var msg = event.data;
+    if (!msg || msg.type !== "axc-lookup" || !msg.email) return;
+    clearTimeout(waitTimer);
+    current.email = String(msg.email).trim();
+    current.token = msg.token || "";
+    current.expires = msg.expires ? String(msg.expires) : "";
+    scheduleRefresh();
+    load();
+  });
+
+  scheduleRefresh();
+  load();
+})();
@@ -0,0 +1,240 @@
+// End-to-end: the webhook queues a job, the background function writes the
+// note, and webhook-jobs reports the outcome by job or correlation ID. Jobs need a store both
+// functions share, so this file uses the file backend in a temp directory.
+// Run with: node --test test/
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, serveFunction, signPayload, TEST_SECRET } = require("../dev/harness");
+
+const JOBS_KEY = "test-jobs-key";
+
+const STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-jobs-test-"));
+
+let h;
+let background;
+let nextId = 1;
+
+test.before(async () => {
+  h = await startHarness({
+    WEBHOOK_JOBS_API_KEYS: `ops:${JOBS_KEY}`,
+    DEAD_LETTER_API_KEY: "test-dead-letter-key",
+    STORE_BACKEND: "file",
+    STORE_DIR,
+  });
+  background = await serveFunction((event, context) =>
+    h.handler("add-contact-note-background")(event, context), { background: true });
+  process.env.NOTE_BACKGROUND_URL = background.url;
+});
+test.after(async () => {
+  await background.close();
+  await h.close();
+  fs.rmSync(STORE_DIR, { recursive: true, force: true });
+});
+test.beforeEach(() => h.mock.reset());
+
+function payload(name) {
+  const p = h.webhook(name);
+  p.data.id = 7000 + nextId;
+  for (const t of p.data.threads || []) t.id = 60000 + nextId;
+  nextId++;
+  return p;
+}
+
+// IDs of every job so far, newest first (inline responses don't carry one)
+async function jobIds() {
+  const dir = path.join(STORE_DIR, "webhook-jobs");
+  return fs.readdirSync(dir)
+    .map((f) => ({ id: decodeURIComponent(f.slice(0, -5)), at: fs.statSync(path.join(dir, f)).mtimeMs }))
+    .sort((a, b) => b.at - a.at)
+    .map((j) => j.id);
+}
+
+async function jobStatus(id, headers = { "x-api-key": JOBS_KEY }, query = { id }) {
+  const res = await h.handler("webhook-jobs")({ httpMethod: "GET", headers, queryStringParameters: query });
+  return { ...res, json: JSON.parse(res.body) };
+}
+
+async function deadLetter(id) {
+  const res = await h.handler("dead-letters")({
+    httpMethod: "GET",
+    headers: { "x-api-key": "test-dead-letter-key" },
+    queryStringParameters: { id },
+  });
+  return JSON.parse(res.body);
+}
+
+test("the webhook answers 202 and the background function writes the note", async () => {
+  const res = await h.replay(payload("outbound-email"), { headers: { "X-Request-Id": "td-delivery-1" } });
+  assert.equal(res.statusCode, 202, res.body);
+  assert.match(res.json.jobId, /^[0-9a-f-]{36}$/);
+  assert.equal(res.json.correlationId, "td-delivery-1");
+  assert.equal(res.headers["X-Correlation-Id"], "td-delivery-1");
+
+  await background.settled();
+  assert.equal(h.mock.notes.length, 1);
+  assert.equal(h.mock.notes[0].contactID, 101);
+
+  const status = await jobStatus(res.json.jobId);
+  assert.equal(status.statusCode, 200, status.body);
+  assert.equal(status.json.status, "done");
+  assert.equal(status.json.correlationId, "td-delivery-1");
+  assert.equal(status.json.processing, "background");
+  assert.deepEqual(status.json.result.contactIDs, [101]);
+  assert.equal(status.json.tokenHash, undefined);
+});
+
+test("a failed write is reported on the job and dead-lettered", async () => {
+  h.mock.fail({ method: "POST", path: "/api/contact/note/", status: 500 });
+  const res = await h.replay(payload("outbound-email"));
+  assert.equal(res.statusCode, 202, res.body);
+  await background.settled();
+
+  const status = await jobStatus(res.json.jobId);
+  assert.equal(status.json.status, "failed");
+  assert.equal(status.json.statusCode, 502);
+  assert.ok(status.json.result.deadLetterId);
+});
+
+test("events needing no aXcelerate call are answered without a job", async () => {
+  const p = payload("outbound-email");
+  delete p.data.contactInfo;
+  const res = await h.replay(p);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.skipped, "no customer email");
+});
+
+test("signature failures are rejected before anything is queued", async () => {
+  const res = await h.replay(payload("outbound-email"), { badSignature: true });
+  assert.equal(res.statusCode, 401);
+  await background.settled();
+  assert.equal(h.mock.requests.length, 0);
+});
+
+test("a repeated request ID queues a new job instead of resetting the old one", async () => {
+  const first = await h.replay(payload("outbound-email"), { headers: { "X-Request-Id": "td-repeat" } });
+  await background.settled();
+  const second = await h.replay(payload("inbound-email"), { headers: { "X-Request-Id": "td-repeat" } });
+  await background.settled();
+
+  assert.notEqual(first.json.jobId, second.json.jobId);
+  assert.equal((await jobStatus(first.json.jobId)).json.kind, "outbound_email");
+  assert.equal((await jobStatus(first.json.jobId)).json.status, "done");
+  assert.equal(h.mock.notes.length, 2);
+});
+
+test("jobs can be looked up by the webhook request's correlation ID", async () => {
+  const first = await h.replay(payload("outbound-email"), { headers: { "X-Request-Id": "td-lookup" } });
+  const second = await h.replay(payload("inbound-email"), { headers: { "X-Request-Id": "td-lookup" } });
+  await background.settled();
+
+  const res = await jobStatus(null, undefined, { correlationId: "td-lookup" });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.correlationId, "td-lookup");
+  assert.deepEqual(res.json.jobs.map((j) => j.id), [first.json.jobId, second.json.jobId]);
+  assert.equal(res.json.jobs[0].tokenHash, undefined);
+  assert.equal((await jobStatus(null, undefined, { correlationId: "td-unknown" })).statusCode, 404);
+});
+
+test("a job whose processing throws is dead-lettered", async () => {
+  const baseUrl = process.env.AXC_BASE_URL;
+  const res = await h.replay(payload("outbound-email"), { headers: { "X-Request-Id": "td-throws" } });
+  assert.equal(res.statusCode, 202, res.body);
+  // The job is queued; the background run then finds the instance unconfigured
+  process.env.AXC_BASE_URL = "";
+  try {
+    await background.settled();
+  } finally {
+    process.env.AXC_BASE_URL = baseUrl;
+  }
+
+  const status = await jobStatus(res.json.jobId);
+  assert.equal(status.json.status, "failed");
+  assert.match(status.json.error, /Missing aXcelerate env vars/);
+  const entry = await deadLetter(status.json.deadLetterId);
+  assert.equal(entry.reason, "job_failed");
+  assert.equal(entry.details.jobId, res.json.jobId);
+});
+
+test("a running job is taken over once its lease has run out", async () => {
+  const { createJob, claimJob } = require("../netlify/functions/lib/webhook-jobs");
+  const { createStore } = require("../netlify/functions/lib/store");
+  const token = await createJob("lease-test", { kind: "outbound_email" });
+  assert.ok((await claimJob("lease-test", token)).ok);
+  assert.equal((await claimJob("lease-test", token)).statusCode, 409);
+
+  const store = createStore("webhook-jobs");
+  const job = await store.get("lease-test");
+  await store.set("lease-test", { ...job, startedAt: new Date(Date.now() - 20 * 60 * 1000).toISOString() });
+  const retried = await claimJob("lease-test", token);
+  assert.ok(retried.ok);
+  assert.equal(retried.job.attempts, 2);
+});
+
+test("without a shared store the webhook is processed inline", async () => {
+  process.env.STORE_BACKEND = "memory";
+  try {
+    const res = await h.replay(payload("outbound-email"));
+    assert.equal(res.statusCode, 200, res.body);
+    assert.equal(res.json.contactID, 101);
+    assert.equal(res.json.queued, undefined);
+  } finally {
+    process.env.STORE_BACKEND = "file";
+  }
+});
+
+test("a signed webhook whose job can't be claimed becomes a dead letter", async () => {
+  const run = h.handler("add-contact-note-background");
+  const body = JSON.stringify(payload("outbound-email"));
+  const call = (signature) => run({
+    httpMethod: "POST",
+    headers: {},
+    body: JSON.stringify({ jobId: "lost-job", token: "t", payload: body, signature }),
+  });
+
+  const unsigned = await call("forged");
+  assert.equal(unsigned.statusCode, 404);
+  assert.equal(JSON.parse(unsigned.body).deadLetterId, undefined);
+
+  const res = await call(signPayload(body, TEST_SECRET));
+  assert.equal(res.statusCode, 404);
+  const { deadLetterId } = JSON.parse(res.body);
+  assert.ok(deadLetterId);
+
+  assert.equal((await deadLetter(deadLetterId)).reason, "job_claim_failed");
+  assert.equal(h.mock.notes.length, 0);
+});
+
+test("the background function only runs a job with its token, and only once", async () => {
+  const res = await h.replay(payload("inbound-email"));
+  await background.settled();
+  const run = h.handler("add-contact-note-background");
+  const call = (body) => run({ httpMethod: "POST", headers: {}, body: JSON.stringify(body) });
+
+  assert.equal((await call({ jobId: res.json.jobId, token: "guess", payload: "{}" })).statusCode, 403);
+  assert.equal((await call({ jobId: "no-such-job", token: "guess", payload: "{}" })).statusCode, 404);
+  assert.equal(h.mock.notes.length, 1);
+});
+
+test("when the background function can't be reached the note is written inline", async () => {
+  const url = process.env.NOTE_BACKGROUND_URL;
+  process.env.NOTE_BACKGROUND_URL = "http://127.0.0.1:9/unreachable";
+  try {
+    const res = await h.replay(payload("outbound-email"));
+    assert.equal(res.statusCode, 200, res.body);
+    assert.equal(res.json.contactID, 101);
+    const [jobId] = await jobIds();
+    const status = await jobStatus(jobId);
+    assert.equal(status.json.status, "done");
+    assert.equal(status.json.processing, "inline");
+  } finally {
+    process.env.NOTE_BACKGROUND_URL = url;
+  }
+});
+
+test("job status needs an API key", async () => {
+  assert.equal((await jobStatus("anything", {})).statusCode, 401);
+  assert.equal((await jobStatus("unknown")).statusCode, 404);
+});
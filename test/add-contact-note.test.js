@@ -0,0 +1,173 @@
+// End-to-end: signed ThriveDesk webhooks -> add-contact-note -> mock aXcelerate,
+// processed inside the webhook request (NOTE_PROCESSING=sync).
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, signPayload, TEST_SECRET } = require("../dev/harness");
+
+let h;
+let nextId = 1;
+
+test.before(async () => {
+  h = await startHarness({ AXC_PAGE_SIZE: "2", NOTE_PROCESSING: "sync" });
+});
+test.after(() => h.close());
+test.beforeEach(() => h.mock.reset());
+
+// Each test gets its own conversation/thread IDs so delivery dedupe doesn't
+// carry over between tests.
+function payload(name, changes = {}) {
+  const p = h.webhook(name);
+  p.data.id = 9000 + nextId;
+  for (const t of p.data.threads || []) t.id = 80000 + nextId;
+  nextId++;
+  Object.assign(p.data, changes);
+  return p;
+}
+
+/* ----------------- signatures ----------------- */
+test("a correctly signed webhook writes the note", async () => {
+  const res = await h.replay(payload("outbound-email"));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.contactID, 101);
+  assert.equal(res.json.match.confidence, "exact_primary");
+  assert.equal(h.mock.notes.length, 1);
+  assert.match(h.mock.notes[0].contactNote, /Your enrolment is confirmed/);
+  assert.doesNotMatch(h.mock.notes[0].contactNote, /Is my enrolment done\?/, "quoted reply is stripped");
+});
+
+test("the signature covers the raw data text, not a re-serialisation", async () => {
+  // Unusual spacing inside "data" must still verify
+  const body = JSON.stringify(payload("outbound-email")).replace('"data":{', '"data": {  ');
+  const res = await h.replay(body);
+  assert.equal(res.statusCode, 200, res.body);
+});
+
+test("a wrong signature is rejected before aXcelerate is called", async () => {
+  const res = await h.replay(payload("outbound-email"), { badSignature: true });
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json.reason, "mismatch");
+  assert.equal(h.mock.requests.length, 0);
+});
+
+test("an unsigned webhook is rejected", async () => {
+  const res = await h.replay(payload("outbound-email"), { unsigned: true });
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json.reason, "missing_signature");
+});
+
+test("a body edited after signing is rejected", async () => {
+  const p = payload("outbound-email");
+  const body = JSON.stringify(p);
+  const tampered = body.replace("sam@example.com", "alex@example.com");
+  const res = await h.handler("add-contact-note")({
+    httpMethod: "POST",
+    headers: { "x-td-signature": signPayload(body, TEST_SECRET) },
+    body: tampered,
+  });
+  assert.equal(res.statusCode, 401);
+  assert.equal(h.mock.notes.length, 0);
+});
+
+/* ----------------- matching ----------------- */
+test("a customer known by an alternate email is matched", async () => {
+  const res = await h.replay(payload("inbound-email"));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.contactID, 102);
+  assert.equal(res.json.match.confidence, "exact_alternate");
+  assert.match(h.mock.notes[0].contactNote, /next assessment/);
+});
+
+test("an email shared by two contacts is not written and becomes a dead letter", async () => {
+  const res = await h.replay(payload("internal-note"));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.skipped, "ambiguous contact");
+  assert.ok(res.json.deadLetterId);
+  assert.deepEqual(res.json.match.rejected.map((r) => r.CONTACTID).sort(), [201, 202]);
+  assert.equal(h.mock.notes.length, 0);
+});
+
+test("search results are read page by page (AXC_PAGE_SIZE=2)", async () => {
+  await h.replay(payload("internal-note"));
+  const searches = h.mock.requests.filter((r) =>
+    r.path === "/api/contacts/search" && r.query.emailAddress === "shared@example.com" && r.query.offset != null);
+  assert.deepEqual(searches.map((r) => r.query.offset), ["0", "2"]);
+  assert.ok(searches.every((r) => r.query.displayLength === "2"));
+});
+
+test("an unknown customer is reported, not written", async () => {
+  const res = await h.replay(payload("outbound-email", { contactInfo: { email: "nobody@example.com" } }));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.skipped, "contact not found");
+  assert.equal(h.mock.notes.length, 0);
+});
+
+/* ----------------- failures ----------------- */
+test("a transient aXcelerate error is retried on lookups", async () => {
+  h.mock.fail({ method: "GET", path: "/api/contacts", status: 503, times: 1 });
+  const res = await h.replay(payload("outbound-email"));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(h.mock.notes.length, 1);
+});
+
+test("a note write is retried on 429 but never after a 5xx", async () => {
+  const notePosts = () => h.mock.requests.filter((r) => r.path === "/api/contact/note/").length;
+  h.mock.fail({ method: "POST", path: "/api/contact/note/", status: 429, times: 1 });
+  const throttled = await h.replay(payload("outbound-email"));
+  assert.equal(throttled.statusCode, 200, throttled.body);
+  assert.equal(notePosts(), 2);
+
+  h.mock.reset();
+  h.mock.fail({ method: "POST", path: "/api/contact/note/", status: 503, times: 1 });
+  const failed = await h.replay(payload("outbound-email"));
+  assert.equal(failed.statusCode, 502, failed.body);
+  assert.equal(notePosts(), 1, "the write may have landed upstream, so it isn't sent again");
+});
+
+test("a failed write returns 502 and the redelivery writes it once", async () => {
+  const p = payload("outbound-email");
+  h.mock.fail({ method: "POST", path: "/api/contact/note/", status: 500, times: 1 });
+  const failed = await h.replay(p);
+  assert.equal(failed.statusCode, 502, failed.body);
+  assert.equal(failed.json.status, 500);
+  assert.ok(failed.json.deadLetterId);
+  assert.equal(h.mock.notes.length, 0);
+
+  const retried = await h.replay(p);
+  assert.equal(retried.statusCode, 200, retried.body);
+  assert.equal(h.mock.notes.length, 1);
+
+  const duplicate = await h.replay(p);
+  assert.equal(duplicate.json.skipped, "duplicate");
+  assert.equal(h.mock.notes.length, 1);
+});
+
+test("a search outage fails the delivery instead of reporting not found", async () => {
+  h.mock.fail({ path: "/api/contacts", status: 500 });
+  const res = await h.replay(payload("outbound-email"));
+  assert.equal(res.statusCode, 500, res.body);
+  assert.match(res.json.error, /aXcelerate 500/);
+  assert.equal(h.mock.notes.length, 0);
+});
+
+test("a status event writes a note for the contact", async () => {
+  const res = await h.replay(payload("conversation-closed"));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.kind, "conversation_closed");
+  assert.equal(h.mock.notes[0].contactID, 101);
+});
+
+test("an unrecognised event name is logged by its newest thread", async () => {
+  const p = payload("inbound-email");
+  p.event = "conversation.message_received";
+  const res = await h.replay(p);
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.kind, "inbound_email");
+  assert.equal(h.mock.notes.length, 1);
+
+  const bare = payload("conversation-closed", { threads: [] });
+  bare.event = "conversation.tagged";
+  const skipped = await h.replay(bare);
+  assert.equal(skipped.json.skipped, "event type");
+  assert.equal(h.mock.notes.length, 1);
+});
@@ -0,0 +1,83 @@
+// End-to-end: attachment archival (lib/attachments.js) on add-contact-note,
+// with the mock serving the files: the MIME allow-list and the
+// ATTACHMENT_MAX_BYTES cut-off, including bodies that don't declare their size.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("../dev/harness");
+
+let h;
+let nextId = 1;
+
+test.before(async () => {
+  h = await startHarness({
+    NOTE_PROCESSING: "sync",
+    ATTACHMENT_ARCHIVE: "true",
+    ATTACHMENT_MAX_BYTES: "1024",
+    ATTACHMENT_MIME_TYPES: "application/pdf,image/*",
+  });
+});
+test.after(() => h.close());
+test.beforeEach(() => h.mock.reset());
+
+// An outbound email to sam@example.com carrying the given attachments
+function withAttachments(attachments) {
+  const p = h.webhook("outbound-email");
+  p.data.id = 9900 + nextId;
+  p.data.threads[0].id = 89000 + nextId;
+  p.data.threads[0].attachments = attachments;
+  nextId++;
+  return p;
+}
+
+const fileUrl = (name) => `${h.mock.url}/files/${name}`;
+const downloads = () => h.mock.requests.filter((r) => r.path.startsWith("/files/")).map((r) => r.path);
+
+test("an allowed file within the limit is uploaded to the contact", async () => {
+  h.mock.file("enrolment.pdf", { type: "application/pdf", body: "%PDF-1.4 small" });
+  const res = await h.replay(withAttachments([{ name: "enrolment.pdf", url: fileUrl("enrolment.pdf") }]));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(res.json.archive, [{ name: "enrolment.pdf", status: "archived", contactIDs: [101] }]);
+  assert.equal(h.mock.documents.length, 1);
+});
+
+test("a body past ATTACHMENT_MAX_BYTES is cut off, declared or not", async () => {
+  const big = Buffer.alloc(64 * 1024, "x");
+  h.mock.file("declared.pdf", { type: "application/pdf", body: big });
+  h.mock.file("chunked.pdf", { type: "application/pdf", body: big, contentLength: false });
+  h.mock.file("understated.pdf", { type: "application/pdf", body: big, contentLength: false });
+  const res = await h.replay(withAttachments([
+    { name: "declared.pdf", url: fileUrl("declared.pdf") },
+    { name: "chunked.pdf", url: fileUrl("chunked.pdf") },
+    // The payload's size is only a hint
+    { name: "understated.pdf", url: fileUrl("understated.pdf"), size: 10 },
+  ]));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(res.json.archive.map((r) => [r.name, r.status, r.reason]), [
+    ["declared.pdf", "skipped", "larger than 1 KB"],
+    ["chunked.pdf", "skipped", "larger than 1 KB"],
+    ["understated.pdf", "skipped", "larger than 1 KB"],
+  ]);
+  assert.equal(h.mock.documents.length, 0);
+  assert.equal(h.mock.notes.length, 1, "the note is written regardless");
+});
+
+test("types outside the allow-list are skipped, before or after download", async () => {
+  h.mock.file("page.bin", { type: "text/html", body: "<p>hi</p>" });
+  const res = await h.replay(withAttachments([
+    // Judged on the payload's type: never downloaded
+    { name: "archive.zip", url: fileUrl("archive.zip"), mimeType: "application/zip", size: 10 },
+    // No type in the payload: judged on the download's Content-Type
+    { name: "page.bin", url: fileUrl("page.bin") },
+    // Larger than the limit by the payload's own size: never downloaded
+    { name: "scan.png", url: fileUrl("scan.png"), mimeType: "image/png", size: 4096 },
+  ]));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(res.json.archive.map((r) => [r.name, r.status, r.reason]), [
+    ["archive.zip", "skipped", "type application/zip not allowed"],
+    ["page.bin", "skipped", "type text/html not allowed"],
+    ["scan.png", "skipped", "larger than 1 KB"],
+  ]);
+  assert.deepEqual(downloads(), ["/files/page.bin"]);
+  assert.equal(h.mock.documents.length, 0);
+});
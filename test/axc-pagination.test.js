@@ -0,0 +1,37 @@
+// Paged aXcelerate reads (lib/axc.js paginate/collect) against the mock:
+// `truncated` only when AXC_MAX_ITEMS actually cut rows off.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockAxcelerate } = require("../dev/mock-axcelerate");
+const { createAxcClient } = require("../netlify/functions/lib/axc");
+
+let mock;
+
+test.before(async () => { mock = await startMockAxcelerate(); });
+test.after(() => mock.close());
+
+// many@example.com (contact 301) has five enrolments
+const collectEnrolments = (maxItems, pageSize = 5) => createAxcClient({
+  baseUrl: mock.url, apiToken: mock.apiToken, wsToken: mock.wsToken, pageSize, maxItems, retries: 0,
+}).collect("/api/course/enrolments?contactID=301", { sizeParam: "limit" });
+
+test("a list exactly maxItems long is not truncated", async () => {
+  const { items, truncated } = await collectEnrolments(5);
+  assert.equal(items.length, 5);
+  assert.equal(truncated, false);
+});
+
+test("a list longer than maxItems is truncated", async () => {
+  const { items, truncated } = await collectEnrolments(4);
+  assert.equal(items.length, 4);
+  assert.equal(truncated, true);
+});
+
+test("a short last page ends the list without another request", async () => {
+  mock.reset();
+  const { items, truncated } = await collectEnrolments(10, 3);
+  assert.equal(items.length, 5);
+  assert.equal(truncated, false);
+  assert.deepEqual(mock.requests.map((r) => r.query.offset), ["0", "3"]);
+});
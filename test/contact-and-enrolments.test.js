@@ -0,0 +1,199 @@
+// End-to-end: contact-and-enrolments lookups against the mock aXcelerate.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("../dev/harness");
+
+const API_KEY = "test-lookup-key";
+
+let h;
+let lookup;
+
+test.before(async () => {
+  h = await startHarness({
+    AXC_PAGE_SIZE: "2",
+    LOOKUP_API_KEYS: `tests:${API_KEY}`,
+    LOOKUP_PROFILES: JSON.stringify({ "*": ["full", "sidebar"] }),
+    LOOKUP_CACHE: "memory",
+    LOOKUP_TOKEN_SECRET: "test-token-secret",
+  });
+  lookup = h.handler("contact-and-enrolments");
+});
+test.after(() => h.close());
+// Lookups pass fresh=1 so each one reaches the mock; the cache test uses an
+// email no other test looks up.
+test.beforeEach(() => h.mock.reset());
+
+async function get(query, headers = { "x-api-key": API_KEY }) {
+  const res = await lookup({ httpMethod: "GET", headers, queryStringParameters: query });
+  return { ...res, json: JSON.parse(res.body || "null") };
+}
+
+test("lookups without an API key are refused", async () => {
+  const res = await get({ email: "sam@example.com" }, {});
+  assert.equal(res.statusCode, 401);
+  assert.equal(h.mock.requests.length, 0);
+});
+
+test("a known email returns the contact and its current qualifications", async () => {
+  const res = await get({ email: "sam@example.com", fresh: "1" });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.contact.CONTACTID, 101);
+  assert.equal(res.json.match.confidence, "exact_primary");
+  assert.deepEqual(res.json.programEnrolments.map((e) => e.CODE), ["ACM40418", "ACM30122", "ACM20121"]);
+  assert.deepEqual(res.json.currentQualifications.map((e) => e.CODE), ["ACM40418"]);
+  assert.match(res.json.axcelerateContactUrl, /ContactID=101$/);
+});
+
+test("enrolments are read across pages (AXC_PAGE_SIZE=2)", async () => {
+  const res = await get({ email: "many@example.com", fresh: "1" });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.programEnrolments.length, 5);
+  assert.equal(res.json.truncated, false);
+  const pages = h.mock.requests.filter((r) => r.path === "/api/course/enrolments");
+  assert.deepEqual(pages.map((r) => [r.query.limit, r.query.offset]), [["2", "0"], ["2", "2"], ["2", "4"]]);
+});
+
+test("an email shared by two contacts is reported as ambiguous", async () => {
+  const res = await get({ email: "shared@example.com", fresh: "1" });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.contact, null);
+  assert.equal(res.json.match.ambiguous, true);
+  assert.deepEqual(res.json.match.rejected.map((r) => r.CONTACTID).sort(), [201, 202]);
+  assert.ok(!h.mock.requests.some((r) => r.path === "/api/course/enrolments"));
+});
+
+test("an unknown email returns no contact", async () => {
+  const res = await get({ email: "nobody@example.com", fresh: "1" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json.contact, null);
+  assert.equal(res.json.match.ambiguous, false);
+});
+
+test("include=progress counts units from the enrolment detail", async () => {
+  const res = await get({ email: "sam@example.com", include: "progress", fresh: "1" });
+  assert.equal(res.statusCode, 200, res.body);
+  const [current] = res.json.currentQualifications;
+  assert.equal(current.unitsTotal, 2);
+  assert.equal(current.unitsCompleted, 1);
+});
+
+test("an enrolment outage returns 502", async () => {
+  h.mock.fail({ path: "/api/course/enrolments", status: 500, body: "Error for Sam Smith, DOB 1990-05-17" });
+  const res = await get({ email: "sam@example.com", fresh: "1" });
+  assert.equal(res.statusCode, 502, res.body);
+  assert.equal(res.json.status, 500);
+  // The upstream body can hold contact details; the message only names the call
+  assert.equal(res.json.details, "aXcelerate 500 for GET /api/course/enrolments");
+});
+
+test("type and status filter an enrolments list", async () => {
+  const res = await get({ email: "sam@example.com", type: "unit,workshop", fresh: "1" });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(res.json.enrolments.map((e) => [e.CODE, e.enrolmentType]),
+    [["ACMVET401", "unit"], ["ACMVET402", "unit"], ["ORIENT", "workshop"]]);
+
+  const ended = await get({ email: "sam@example.com", type: "program", status: "completed,withdrawn", fresh: "1" });
+  assert.deepEqual(ended.json.enrolments.map((e) => [e.CODE, e.derivedStatus]),
+    [["ACM30122", "completed"], ["ACM20121", "withdrawn"]]);
+});
+
+test("unknown types, statuses and views are rejected", async () => {
+  assert.equal((await get({ email: "sam@example.com", type: "course" })).statusCode, 400);
+  assert.equal((await get({ email: "sam@example.com", status: "paused" })).statusCode, 400);
+  assert.equal((await get({ email: "sam@example.com", view: "calendar" })).statusCode, 400);
+});
+
+test("view=timeline orders every enrolment by date and derives qualification status", async () => {
+  const res = await get({ email: "sam@example.com", view: "timeline", fresh: "1" });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(res.json.timeline.map((e) => e.CODE),
+    ["ACM20121", "ACM30122", "ORIENT", "ACM40418", "ACMVET401", "ACMVET402"]);
+  assert.equal(res.json.timeline[0].date, "2021-02-01");
+  assert.deepEqual(res.json.qualifications.map((q) => [q.CODE, q.derivedStatus, q.current]),
+    [["ACM40418", "active", true], ["ACM30122", "completed", false], ["ACM20121", "withdrawn", false]]);
+  assert.equal(res.json.qualifications[0].unitsTotal, 2);
+  assert.equal(res.json.qualifications[0].unitsCompleted, 1);
+});
+
+test("an open enrolment past its expected end is lapsed but still current by default", async () => {
+  const res = await get({ email: "many@example.com", view: "timeline", status: "lapsed", fresh: "1" });
+  assert.deepEqual(res.json.qualifications.map((q) => [q.CODE, q.derivedStatus, q.current]), [["P5", "lapsed", true]]);
+  assert.ok(res.json.currentQualifications.some((q) => q.CODE === "P5"));
+  assert.ok(!res.json.currentQualifications.some((q) => q.CODE === "P4"));
+});
+
+test("a repeated lookup is served from the cache", async () => {
+  const first = await get({ email: "alex@example.com" });
+  assert.equal(first.headers["X-Cache"], "MISS");
+  const calls = h.mock.requests.length;
+  const second = await get({ email: "alex@example.com" });
+  assert.equal(second.headers["X-Cache"], "HIT");
+  assert.equal(h.mock.requests.length, calls);
+  assert.deepEqual(second.json.programEnrolments, first.json.programEnrolments);
+});
+
+test("a batch reports each email's outcome", async () => {
+  const res = await lookup({
+    httpMethod: "POST",
+    headers: { "x-api-key": API_KEY },
+    body: JSON.stringify({ emails: ["sam@example.com", "shared@example.com", "nobody@example.com", "not-an-email", "SAM@example.com"] }),
+  });
+  const json = JSON.parse(res.body);
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(json.duplicates, 1);
+  assert.deepEqual(json.summary, { found: 1, not_found: 1, ambiguous: 1, invalid: 1, error: 0, timeout: 0 });
+});
+
+test("an email that throws is that email's error, not the batch's", async () => {
+  // A lone surrogate can't be put in a URL (encodeURIComponent throws URIError)
+  const res = await lookup({
+    httpMethod: "POST",
+    headers: { "x-api-key": API_KEY },
+    body: JSON.stringify({ emails: ["sam@example.com", "sam\ud800@example.com"] }),
+  });
+  assert.equal(res.statusCode, 200, res.body);
+  const json = JSON.parse(res.body);
+  assert.deepEqual(json.results.map((r) => r.status), ["found", "error"]);
+  assert.equal(json.summary.error, 1);
+});
+
+test("format=ndjson returns one line per email and a closing summary", async () => {
+  const res = await lookup({
+    httpMethod: "POST",
+    headers: { "x-api-key": API_KEY },
+    body: JSON.stringify({ emails: ["sam@example.com", "nobody@example.com", "not-an-email"], format: "ndjson", fresh: true }),
+  });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.match(res.headers["Content-Type"], /^application\/x-ndjson/);
+  assert.ok(res.body.endsWith("\n"));
+  const lines = res.body.trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(lines.length, 4);
+  // Results come in completion order; the summary is always last
+  const byEmail = Object.fromEntries(lines.slice(0, 3).map((r) => [r.email, r]));
+  assert.equal(byEmail["sam@example.com"].status, "found");
+  assert.equal(byEmail["sam@example.com"].contact.CONTACTID, 101);
+  assert.equal(byEmail["nobody@example.com"].status, "not_found");
+  assert.equal(byEmail["not-an-email"].status, "invalid");
+  assert.deepEqual(lines[3], {
+    done: true, count: 3, duplicates: 0,
+    summary: { found: 1, not_found: 1, ambiguous: 0, invalid: 1, error: 0, timeout: 0 },
+  });
+});
+
+test("a minted token opens lookups of its own email only", async () => {
+  const mint = h.handler("lookup-token");
+  const refused = await mint({ httpMethod: "POST", headers: {}, body: JSON.stringify({ email: "sam@example.com" }) });
+  assert.equal(refused.statusCode, 401);
+
+  const res = await mint({ httpMethod: "POST", headers: { "x-api-key": API_KEY }, body: JSON.stringify({ email: "Sam@example.com" }) });
+  assert.equal(res.statusCode, 200, res.body);
+  const { token, expires, expiresIn } = JSON.parse(res.body);
+  assert.equal(expiresIn, 900);
+
+  const own = await get({ email: "sam@example.com", token, expires: String(expires), profile: "sidebar", fresh: "1" }, {});
+  assert.equal(own.statusCode, 200, own.body);
+  assert.equal(own.json.contact.CONTACTID, 101);
+  const other = await get({ email: "alex@example.com", token, expires: String(expires), profile: "sidebar" }, {});
+  assert.equal(other.statusCode, 403);
+});
@@ -0,0 +1,120 @@
+// End-to-end: contact writes against mock aXcelerate. Unknown senders get a
+// contact under AXC_CREATE_CONTACTS (add-contact-note), and update-contact
+// pushes only the fields that changed.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("../dev/harness");
+
+let h;
+let nextId = 1;
+
+test.before(async () => {
+  h = await startHarness({
+    NOTE_PROCESSING: "sync",
+    AXC_CREATE_CONTACTS: "true",
+    CONTACT_UPDATE_API_KEYS: "agents:test-update-key",
+  });
+});
+test.after(() => h.close());
+test.beforeEach(() => h.mock.reset());
+
+function payload(name, changes = {}) {
+  const p = h.webhook(name);
+  p.data.id = 9500 + nextId;
+  for (const t of p.data.threads || []) t.id = 85000 + nextId;
+  nextId++;
+  Object.assign(p.data, changes);
+  return p;
+}
+
+function update(body, key = "test-update-key") {
+  return h.handler("update-contact")({
+    httpMethod: "POST",
+    headers: { "x-api-key": key },
+    body: JSON.stringify(body),
+  }).then((res) => ({ ...res, json: JSON.parse(res.body) }));
+}
+
+/* ----------------- create (AXC_CREATE_CONTACTS) ----------------- */
+test("an unknown sender gets a new contact and the note, once", async () => {
+  const p = payload("outbound-email", { contactInfo: { email: "new.student@example.com", name: "Robin Lee" } });
+  const res = await h.replay(p);
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.match.confidence, "created");
+  assert.equal(h.mock.created.length, 1);
+  const [contact] = h.mock.created;
+  assert.deepEqual(
+    [contact.GIVENNAME, contact.SURNAME, contact.EMAILADDRESS],
+    ["Robin", "Lee", "new.student@example.com"],
+  );
+  assert.equal(res.json.createdContactID, contact.CONTACTID);
+  assert.deepEqual(h.mock.notes.map((n) => n.contactID), [contact.CONTACTID]);
+
+  const duplicate = await h.replay(p);
+  assert.equal(duplicate.json.skipped, "duplicate");
+  assert.equal(h.mock.created.length, 1);
+});
+
+test("an ambiguous email is dead-lettered, not resolved by creating a contact", async () => {
+  const res = await h.replay(payload("outbound-email", { contactInfo: { email: "shared@example.com" } }));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.skipped, "ambiguous contact");
+  assert.ok(res.json.deadLetterId);
+  assert.equal(h.mock.created.length, 0);
+  assert.equal(h.mock.notes.length, 0);
+});
+
+test("a create answered without a CONTACTID fails the delivery and dead-letters it", async () => {
+  h.mock.fail({ method: "POST", path: "/api/contact/", status: 200, body: { STATUS: "success" }, times: 1 });
+  const res = await h.replay(payload("outbound-email", { contactInfo: { email: "nobody.yet@example.com" } }));
+  assert.equal(res.statusCode, 502, res.body);
+  assert.equal(res.json.code, "parse");
+  assert.ok(res.json.deadLetterId);
+  assert.equal(h.mock.notes.length, 0);
+
+  // Required here: the module reads its env vars when first loaded
+  const { getDeadLetter } = require("../netlify/functions/lib/dead-letters");
+  const entry = await getDeadLetter(res.json.deadLetterId);
+  assert.equal(entry.reason, "write_failed");
+  assert.match(entry.details.error.message, /did not return a CONTACTID/);
+});
+
+/* ----------------- update-contact ----------------- */
+test("update-contact writes only the fields that differ", async () => {
+  const res = await update({ contactID: 101, changes: { mobilePhone: "0400111222", city: " Maitland ", postcode: "2320" } });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(res.json.changed, {
+    city: { from: "Newcastle", to: "Maitland" },
+    postcode: { from: null, to: "2320" },
+  });
+  assert.equal(res.json.updated, true);
+  const put = h.mock.requests.find((r) => r.method === "PUT");
+  assert.deepEqual(put.form, { city: "Maitland", postcode: "2320" });
+  assert.equal(h.mock.contacts.find((c) => c.CONTACTID === 101).CITY, "Maitland");
+});
+
+test("a dry run reports the diff without writing", async () => {
+  const res = await update({ email: "sam@example.com", changes: { state: "VIC" }, dryRun: true });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(res.json.changed, { state: { from: "NSW", to: "VIC" } });
+  assert.deepEqual([res.json.dryRun, res.json.updated], [true, false]);
+  assert.equal(h.mock.requests.filter((r) => r.method === "PUT").length, 0);
+});
+
+test("update-contact refuses an email shared by several contacts", async () => {
+  const res = await update({ email: "shared@example.com", changes: { city: "Sydney" } });
+  assert.equal(res.statusCode, 409, res.body);
+  assert.deepEqual(res.json.rejected.map((r) => r.CONTACTID).sort(), [201, 202]);
+  assert.equal(h.mock.requests.filter((r) => r.method === "PUT").length, 0);
+});
+
+test("update-contact rejects unknown fields and bad keys", async () => {
+  const invalid = await update({ contactID: 101, changes: { email: "x@example.com" } });
+  assert.equal(invalid.statusCode, 400);
+  assert.deepEqual(invalid.json.details, ['"email" cannot be updated']);
+
+  const unauthorised = await update({ contactID: 101, changes: { city: "Sydney" } }, "wrong-key");
+  assert.equal(unauthorised.statusCode, 403);
+  assert.equal(h.mock.requests.length, 0);
+});
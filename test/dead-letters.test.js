@@ -0,0 +1,135 @@
+// End-to-end: the dead-letters function over entries left by failed
+// add-contact-note deliveries (NOTE_PROCESSING=sync): listing, retrying and
+// discarding them.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("../dev/harness");
+
+const API_KEY = "test-dead-letter-key";
+
+let h;
+let deadLetters;
+let nextId = 1;
+
+test.before(async () => {
+  h = await startHarness({ NOTE_PROCESSING: "sync", DEAD_LETTER_API_KEY: API_KEY });
+  deadLetters = h.handler("dead-letters");
+});
+test.after(() => h.close());
+test.beforeEach(() => h.mock.reset());
+
+function payload(name, changes = {}) {
+  const p = h.webhook(name);
+  p.data.id = 9700 + nextId;
+  for (const t of p.data.threads || []) t.id = 87000 + nextId;
+  nextId++;
+  Object.assign(p.data, changes);
+  return p;
+}
+
+async function call(method, { query, body, headers = { "x-api-key": API_KEY } } = {}) {
+  const res = await deadLetters({
+    httpMethod: method,
+    headers,
+    queryStringParameters: query || {},
+    body: body ? JSON.stringify(body) : "",
+  });
+  return { ...res, json: JSON.parse(res.body || "null") };
+}
+
+// A delivery whose note write fails once: a "write_failed" dead letter.
+async function failedWrite() {
+  h.mock.fail({ method: "POST", path: "/api/contact/note/", status: 500, times: 1 });
+  const res = await h.replay(payload("outbound-email"));
+  assert.equal(res.statusCode, 502, res.body);
+  return res.json.deadLetterId;
+}
+
+test("dead letters are listed, filtered by reason and shown in full", async () => {
+  const failedId = await failedWrite();
+  const ambiguous = await h.replay(payload("internal-note"));
+  const ambiguousId = ambiguous.json.deadLetterId;
+
+  const all = await call("GET");
+  assert.equal(all.statusCode, 200, all.body);
+  const ids = all.json.entries.map((e) => e.id);
+  assert.ok(ids.includes(failedId) && ids.includes(ambiguousId));
+
+  const filtered = await call("GET", { query: { reason: "ambiguous_contact" } });
+  assert.ok(filtered.json.entries.every((e) => e.reason === "ambiguous_contact"));
+  assert.ok(filtered.json.entries.some((e) => e.id === ambiguousId));
+
+  const entry = await call("GET", { query: { id: failedId } });
+  assert.equal(entry.json.reason, "write_failed");
+  assert.equal(entry.json.customerEmail, "sam@example.com");
+  assert.match(entry.json.note, /Your enrolment is confirmed/);
+
+  const missing = await call("GET", { query: { id: "nope" } });
+  assert.equal(missing.statusCode, 404);
+});
+
+test("a successful retry writes the note and removes the entry", async () => {
+  const id = await failedWrite();
+  const res = await call("POST", { body: { action: "retry", id } });
+  assert.equal(res.statusCode, 200, res.body);
+  const [result] = res.json.results;
+  assert.deepEqual([result.id, result.ok, result.contactIDs], [id, true, [101]]);
+  assert.equal(h.mock.notes.length, 1);
+  assert.equal((await call("GET", { query: { id } })).statusCode, 404);
+});
+
+test("a retry that fails again keeps the entry and counts the attempt", async () => {
+  const id = await failedWrite();
+  h.mock.fail({ method: "POST", path: "/api/contact/note/", status: 503, times: 1 });
+  const res = await call("POST", { body: { action: "retry", ids: [id] } });
+  assert.equal(res.statusCode, 200, res.body);
+  const [result] = res.json.results;
+  assert.equal(result.ok, false);
+  assert.equal(result.outcome, "failed");
+  assert.equal(result.error.status, 503);
+
+  const entry = await call("GET", { query: { id } });
+  assert.equal(entry.json.attempts, 1);
+  assert.equal(entry.json.lastError.status, 503);
+  assert.ok(entry.json.lastAttemptAt);
+  assert.equal(h.mock.notes.length, 0);
+});
+
+test("an ambiguous entry is retried against the contact ops pick", async () => {
+  const { json } = await h.replay(payload("internal-note"));
+  const unresolved = await call("POST", { body: { action: "retry", id: json.deadLetterId } });
+  assert.equal(unresolved.json.results[0].outcome, "ambiguous");
+
+  const res = await call("POST", { body: { action: "retry", id: json.deadLetterId, contactID: 202 } });
+  assert.equal(res.json.results[0].ok, true, res.body);
+  assert.deepEqual(h.mock.notes.map((n) => n.contactID), [202]);
+
+  const several = await call("POST", { body: { action: "retry", ids: ["a", "b"], contactID: 202 } });
+  assert.equal(several.statusCode, 400);
+});
+
+test("entries are discarded by POST or DELETE", async () => {
+  const first = await failedWrite();
+  const second = await failedWrite();
+
+  const posted = await call("POST", { body: { action: "discard", ids: [first, "nope"] } });
+  assert.deepEqual(posted.json.results, [{ id: first, ok: true }, { id: "nope", ok: false, error: "not found" }]);
+  const deleted = await call("DELETE", { query: { id: second } });
+  assert.equal(deleted.statusCode, 200, deleted.body);
+  assert.equal((await call("DELETE", { query: { id: second } })).statusCode, 404);
+
+  const ids = (await call("GET")).json.entries.map((e) => e.id);
+  assert.ok(!ids.includes(first) && !ids.includes(second));
+});
+
+test("every action needs the API key", async () => {
+  const id = await failedWrite();
+  const unsigned = await call("GET", { headers: {} });
+  assert.equal(unsigned.statusCode, 401);
+  const wrong = await call("POST", { body: { action: "discard", id }, headers: { "x-api-key": "wrong-key" } });
+  assert.equal(wrong.statusCode, 403);
+  const del = await call("DELETE", { query: { id }, headers: { authorization: "Bearer wrong-key" } });
+  assert.equal(del.statusCode, 403);
+  assert.equal((await call("GET", { query: { id } })).statusCode, 200, "the entry is still there");
+});
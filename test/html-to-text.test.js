@@ -0,0 +1,43 @@
+// Email HTML -> note text (lib/html-to-text.js), and its cost on hostile input.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { htmlToText } = require("../netlify/functions/lib/html-to-text");
+
+test("renders markup and drops quoted history", () => {
+  const html = [
+    "<!doctype html><p>Hi <b>team</b>,</p><!-- tracking -->",
+    '<p>See <a href="https://example.com/a?x=1&amp;y=2" title="a > b">the form</a>.</p>',
+    "<ul><li>one</li><li>two</li></ul>",
+    "<p>5 < 6</p>",
+    '<div class="gmail_quote">On Mon, Sam wrote:<blockquote>old</blockquote></div>',
+  ].join("");
+  assert.equal(
+    htmlToText(html),
+    "Hi team,\n\nSee the form (https://example.com/a?x=1&y=2).\n\n- one\n- two\n\n5 < 6",
+  );
+});
+
+test("text either side of a removed element stays on separate lines", () => {
+  assert.equal(htmlToText("Hello<br>World<blockquote>quoted</blockquote>Bye"), "Hello\nWorld\nBye");
+  assert.equal(htmlToText("<p>Thanks</p><blockquote>quoted</blockquote><p>Sam</p>"), "Thanks\n\nSam");
+  assert.equal(htmlToText('Call me<div class="signature">Sam</div>'), "Call me");
+});
+
+test("pathological markup converts in linear time", () => {
+  const inputs = [
+    "<a".repeat(20000),
+    "<div".repeat(20000),
+    '<a title="'.repeat(20000),
+    "<!--".repeat(20000),
+    "<!doctype".repeat(20000),
+    `<pre>x${" ".repeat(100000)}y</pre>`,
+    `<table><tr><td><pre>x${" ".repeat(100000)}y</pre></td></tr></table>`,
+  ];
+  for (const html of inputs) {
+    const started = Date.now();
+    htmlToText(html);
+    const elapsed = Date.now() - started;
+    assert.ok(elapsed < 500, `${JSON.stringify(html.slice(0, 12))}… took ${elapsed}ms`);
+  }
+});
@@ -0,0 +1,153 @@
+// End-to-end: rate limits, uniform found/not-found answers and the audit
+// trail on contact-and-enrolments.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("../dev/harness");
+
+const MIN_RESPONSE_MS = 150;
+
+let h;
+let lookup;
+let audit;
+
+test.before(async () => {
+  h = await startHarness({
+    LOOKUP_API_KEYS: "tests:test-lookup-key,tight:tight-key",
+    LOOKUP_PROFILES: JSON.stringify({ "*": ["full", "sidebar"] }),
+    LOOKUP_RATE_LIMIT_IP: "3/60",
+    LOOKUP_RATE_LIMITS: JSON.stringify({ tight: "2/60", "*": "100/60" }),
+    LOOKUP_MIN_RESPONSE_MS: String(MIN_RESPONSE_MS),
+    LOOKUP_AUDIT_API_KEYS: "compliance:audit-key",
+  });
+  lookup = h.handler("contact-and-enrolments");
+  audit = h.handler("lookup-audit");
+});
+test.after(() => h.close());
+test.beforeEach(() => h.mock.reset());
+
+// Each test uses its own client IPs, so the per-IP counters don't carry over.
+async function get(email, { ip, key = "test-lookup-key", fresh = true } = {}) {
+  const res = await lookup({
+    httpMethod: "GET",
+    headers: { "x-api-key": key, "x-nf-client-connection-ip": ip },
+    queryStringParameters: { email, ...(fresh ? { fresh: "1" } : {}) },
+  });
+  return { ...res, json: JSON.parse(res.body || "null") };
+}
+
+/* ----------------- rate limits ----------------- */
+test("a client IP over its limit gets 429 with Retry-After", async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await get("sam@example.com", { ip: "203.0.113.1" })).statusCode, 200);
+  }
+  const requestsBefore = h.mock.requests.length;
+  const res = await get("sam@example.com", { ip: "203.0.113.1" });
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.json.limit, "ip");
+  const retryAfter = Number(res.headers["Retry-After"]);
+  assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+  assert.equal(h.mock.requests.length, requestsBefore, "aXcelerate isn't called");
+
+  assert.equal((await get("sam@example.com", { ip: "203.0.113.2" })).statusCode, 200);
+});
+
+test("unauthenticated requests count against the IP limit too", async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await get("sam@example.com", { ip: "203.0.113.10", key: "guess" })).statusCode, 403);
+  }
+  assert.equal((await get("sam@example.com", { ip: "203.0.113.10", key: "guess" })).statusCode, 429);
+});
+
+test("a caller over its limit is refused from any IP", async () => {
+  assert.equal((await get("sam@example.com", { ip: "203.0.113.20", key: "tight-key" })).statusCode, 200);
+  assert.equal((await get("sam@example.com", { ip: "203.0.113.21", key: "tight-key" })).statusCode, 200);
+  const res = await get("sam@example.com", { ip: "203.0.113.22", key: "tight-key" });
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.json.limit, "caller");
+  assert.ok(res.headers["Retry-After"]);
+});
+
+test("each bucket keeps one counter, reset when the window changes", async () => {
+  // Required here: the modules read their env vars when first loaded
+  const { createStore } = require("../netlify/functions/lib/store");
+  const { createRateLimiter } = require("../netlify/functions/lib/rate-limit");
+  const store = createStore("rate-limits-window-test", { backend: "memory" });
+  const limiter = createRateLimiter({ store });
+  const rule = { limit: 2, windowMs: 60 * 1000 };
+  const start = Math.floor(Date.now() / rule.windowMs) * rule.windowMs;
+  assert.equal((await limiter.take("ip:a", rule, 2, start)).remaining, 0);
+  assert.equal((await limiter.take("ip:a", rule, 1, start + 1000)).ok, false);
+  // The next window overwrites the same key
+  assert.equal((await limiter.take("ip:a", rule, 1, start + rule.windowMs)).remaining, 1);
+  assert.deepEqual(await store.list(), ["ip:a"]);
+  assert.deepEqual(await store.get("ip:a"), { window: start / rule.windowMs + 1, count: 1 });
+});
+
+test("a batch counts every email against the caller's limit", async () => {
+  const emails = Array.from({ length: 101 }, (_, i) => `student${i}@example.com`);
+  const res = await lookup({
+    httpMethod: "POST",
+    headers: { "x-api-key": "test-lookup-key", "x-nf-client-connection-ip": "203.0.113.30" },
+    body: JSON.stringify({ emails }),
+  });
+  assert.equal(res.statusCode, 429, res.body);
+  assert.equal(h.mock.requests.length, 0);
+});
+
+/* ----------------- uniform answers ----------------- */
+test("found and not-found lookups answer alike", async () => {
+  // Through the cache, as a caller probing emails would see it: first a miss, then a hit
+  for (const round of ["MISS", "HIT"]) {
+    const found = await get("alex.work@example.com", { ip: "203.0.113.40", fresh: false });
+    const started = Date.now();
+    const missing = await get("nobody@example.com", { ip: "203.0.113.41", fresh: false });
+    const elapsed = Date.now() - started;
+
+    assert.equal(found.statusCode, 200);
+    assert.equal(missing.statusCode, 200);
+    assert.deepEqual(Object.keys(missing.json), Object.keys(found.json));
+    assert.deepEqual(Object.keys(missing.headers).sort(), Object.keys(found.headers).sort());
+    assert.equal(found.headers["X-Cache"], round);
+    assert.equal(missing.headers["X-Cache"], round);
+    assert.equal(missing.headers["X-Cache-Detail"], found.headers["X-Cache-Detail"]);
+    assert.equal(missing.json.contact, null);
+    assert.equal(missing.json.axcelerateContactUrl, null);
+    assert.ok(elapsed >= MIN_RESPONSE_MS - 5, `answered in ${elapsed}ms`);
+  }
+});
+
+test("refused lookups take as long as answered ones", async () => {
+  const started = Date.now();
+  const res = await get("sam@example.com", { ip: "203.0.113.42", key: "guess" });
+  const elapsed = Date.now() - started;
+  assert.equal(res.statusCode, 403);
+  assert.ok(elapsed >= MIN_RESPONSE_MS - 5, `answered in ${elapsed}ms`);
+});
+
+/* ----------------- audit trail ----------------- */
+async function auditQuery(query, key = "audit-key") {
+  const res = await audit({ httpMethod: "GET", headers: { "x-api-key": key }, queryStringParameters: query });
+  return { ...res, json: JSON.parse(res.body || "null") };
+}
+
+test("lookups are recorded for compliance review", async () => {
+  await get("alex@example.com", { ip: "203.0.113.50" });
+  await get("ghost@example.com", { ip: "203.0.113.50" });
+
+  const byContact = await auditQuery({ contactID: "102" });
+  assert.equal(byContact.statusCode, 200, byContact.body);
+  const [entry] = byContact.json.entries;
+  assert.equal(entry.caller, "tests");
+  assert.equal(entry.via, "api-key");
+  assert.equal(entry.outcome, "found");
+  assert.equal(entry.ip, "203.0.113.50");
+  assert.doesNotMatch(JSON.stringify(entry), /alex@example\.com/, "the email itself isn't stored");
+
+  const byEmail = await auditQuery({ email: "Ghost@example.com" });
+  assert.equal(byEmail.json.count, 1);
+  assert.equal(byEmail.json.entries[0].outcome, "not_found");
+
+  assert.equal((await auditQuery({}, "wrong")).statusCode, 403);
+  assert.equal((await auditQuery({ since: "2020-01-01" })).statusCode, 400);
+});
@@ -0,0 +1,92 @@
+// Output profiles (lib/profiles.js) through contact-and-enrolments: masking
+// under sidebar and audit, and which profiles each caller may ask for
+// (LOOKUP_PROFILES).
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("../dev/harness");
+
+let h;
+let lookup;
+
+test.before(async () => {
+  h = await startHarness({
+    LOOKUP_API_KEYS: "reports:test-reports-key,helpdesk:test-helpdesk-key",
+    LOOKUP_PROFILES: JSON.stringify({ reports: ["full", "audit"], "*": ["sidebar"] }),
+  });
+  lookup = h.handler("contact-and-enrolments");
+});
+test.after(() => h.close());
+test.beforeEach(() => {
+  h.mock.reset();
+  // Identifiers and address fields the fixture contact doesn't have
+  Object.assign(h.mock.contacts.find((c) => c.CONTACTID === 101), {
+    PHONE: "02 4900 1234",
+    ADDRESS1: "1 Test Street",
+    POSTCODE: "2300",
+    USI: "ABCDE12345",
+    DOB: "1990-05-17",
+    CUSTOMFIELD_NOTES: "private",
+  });
+});
+
+async function get(key, query) {
+  const res = await lookup({
+    httpMethod: "GET",
+    headers: { "x-api-key": key },
+    queryStringParameters: { email: "sam@example.com", fresh: "1", ...query },
+  });
+  return { ...res, json: JSON.parse(res.body || "null") };
+}
+
+test("sidebar masks phones and leaves out the street address", async () => {
+  const res = await get("test-helpdesk-key", {});
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.profile, "sidebar");
+  const { contact } = res.json;
+  assert.equal(contact.CONTACTID, 101);
+  assert.equal(contact.MOBILEPHONE, "****1222");
+  assert.equal(contact.PHONE, "****1234");
+  assert.equal(contact.CITY, "Newcastle");
+  for (const field of ["ADDRESS1", "ADDRESS2", "POSTCODE", "USI", "DOB"]) assert.ok(!(field in contact), field);
+  assert.equal(res.json.contactSummary, undefined);
+  assert.deepEqual(Object.keys(res.json.programEnrolments[0]).sort(), [
+    "AMOUNTPAID", "CODE", "ENROLID", "ENROLMENTDATE", "FINISHDATE", "INSTANCEID", "NAME", "STARTDATE", "STATUS",
+    "expectedCompletionDate",
+  ]);
+});
+
+test("audit masks identifiers in the contact and its summary and drops custom fields", async () => {
+  const res = await get("test-reports-key", { profile: "audit" });
+  assert.equal(res.statusCode, 200, res.body);
+  const { contact, contactSummary } = res.json;
+  assert.deepEqual(
+    [contact.USI, contact.DOB, contact.MOBILEPHONE, contact.PHONE],
+    ["****2345", "1990", "****1222", "****1234"],
+  );
+  assert.equal(contact.ADDRESS1, "1 Test Street");
+  assert.ok(!("CUSTOMFIELD_NOTES" in contact));
+  assert.equal(contactSummary.CONTACTID, 101);
+  assert.equal(contactSummary.MOBILEPHONE, "****1222");
+  assert.equal(contactSummary.PHONE, "****1234");
+});
+
+test("full returns the contact unmasked", async () => {
+  const res = await get("test-reports-key", {});
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.profile, "full");
+  assert.equal(res.json.contact.USI, "ABCDE12345");
+  assert.equal(res.json.contact.CUSTOMFIELD_NOTES, "private");
+  assert.equal(res.json.contactSummary.MOBILEPHONE, "0400111222");
+});
+
+test("a profile the caller isn't allowed is refused before aXcelerate is called", async () => {
+  for (const profile of ["full", "audit"]) {
+    const res = await get("test-helpdesk-key", { profile });
+    assert.equal(res.statusCode, 403, res.body);
+    assert.match(res.json.error, new RegExp(`Profile "${profile}" not allowed`));
+  }
+  const unknown = await get("test-reports-key", { profile: "everything" });
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(h.mock.requests.length, 0);
+});
@@ -0,0 +1,57 @@
+// Note layouts (lib/note-templates.js): per-inbox template sets, summary
+// mode, maxLength and the fall back to the built-in "standard" layout.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Read when the module loads
+process.env.NOTE_TEMPLATES = JSON.stringify({
+  templates: {
+    compact: {
+      maxLength: 200,
+      outbound_email: "Email to {{customerEmail}}: {{subject}}\n?Tags: {{tags}}\n\n{{body}}",
+    },
+    // The built-in name: ignored, otherwise every other kind would break
+    standard: { outbound_email: "Overridden {{subject}}" },
+    broken: { outbound_email: "{{nope}}" },
+  },
+  inboxes: { "support@example.edu.au": "compact", 42: "compact", "sales@example.edu.au": "broken" },
+});
+const { renderNote } = require("../netlify/functions/lib/note-templates");
+
+const fields = {
+  convId: 7, customerEmail: "sam@example.com", subject: "Enrolment", body: "Thanks!", sender: "Riley", tags: [],
+};
+
+test("inboxes map to their template set by address or ID", () => {
+  const byAddress = renderNote("outbound_email", "log", fields, { connectedEmailAddress: "Support@example.edu.au" });
+  assert.equal(byAddress.template, "compact");
+  assert.equal(byAddress.note, "Email to sam@example.com: Enrolment\n\nThanks!");
+  assert.equal(renderNote("outbound_email", "log", fields, { id: 42 }).template, "compact");
+
+  const other = renderNote("outbound_email", "log", fields, { connectedEmailAddress: "other@example.edu.au" });
+  assert.equal(other.template, "standard");
+  assert.match(other.note, /^Email sent via ThriveDesk - Conversation ID: 7\nTo: sam@example.com\n/);
+  assert.equal(renderNote("outbound_email", "log", fields, { connectedEmailAddress: "sales@example.edu.au" }).template, "standard");
+});
+
+test("summary mode renders one line plus the subject", () => {
+  const { note } = renderNote("internal_note", "summary", { ...fields, author: "Riley" }, {});
+  assert.equal(note, "Internal note added in ThriveDesk - Conversation ID: 7 | Subject: Enrolment");
+});
+
+test("notes over the set's maxLength are truncated", () => {
+  const { note } = renderNote("outbound_email", "log", { ...fields, body: "x".repeat(1000) }, { id: 42 });
+  assert.equal(note.length, 200);
+  assert.match(note, /\n\[truncated\]$/);
+});
+
+test("kinds a set leaves out, and a set named standard, use the built-in layout", () => {
+  const closed = renderNote("conversation_closed", "log", { ...fields, actor: "Riley" }, { id: 42 });
+  assert.equal(closed.template, "compact");
+  assert.equal(closed.note, "ThriveDesk conversation closed - Conversation ID: 7\nSubject: Enrolment\nBy: Riley");
+
+  const standard = renderNote("outbound_email", "log", fields, {});
+  assert.doesNotMatch(standard.note, /Overridden/);
+  assert.match(standard.note, /^Email sent via ThriveDesk/);
+});
@@ -0,0 +1,35 @@
+// Webhook signature replay window (lib/td-signature.js): the timestamp only
+// counts when the signature covers it.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { signPayload } = require("../dev/harness");
+const { verifyTdSignature } = require("../netlify/functions/lib/td-signature");
+
+const SECRET = "test-webhook-secret";
+const NOW = Date.parse("2026-03-02T10:00:00Z");
+const options = { secrets: [{ name: "current", value: SECRET }], schemes: ["data-raw"], maxAgeSeconds: 300, now: NOW };
+
+function signed(payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  return { httpMethod: "POST", headers: { "x-td-signature": signPayload(body, SECRET), ...headers }, body };
+}
+
+test("a fresh timestamp inside the signed data is accepted", () => {
+  const event = signed({ event: "note.created", data: { id: 1, timestamp: NOW / 1000 - 60 } });
+  assert.deepEqual(verifyTdSignature(event, options), { ok: true, secret: "current", scheme: "data-raw" });
+});
+
+test("a stale signed timestamp is rejected", () => {
+  const event = signed({ event: "note.created", data: { id: 1, timestamp: NOW / 1000 - 3600 } });
+  assert.equal(verifyTdSignature(event, options).reason, "stale_timestamp");
+});
+
+test("timestamps outside the signed data are ignored", () => {
+  // A replayed body with a fresh unsigned field and header
+  const event = signed(
+    { event: "note.created", timestamp: NOW / 1000, data: { id: 1 } },
+    { "x-td-timestamp": String(NOW / 1000) },
+  );
+  assert.equal(verifyTdSignature(event, options).reason, "missing_timestamp");
+});
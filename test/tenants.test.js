@@ -0,0 +1,122 @@
+// End-to-end: two tenants (lib/tenants.js), each with its own mock aXcelerate,
+// inbox, webhook secret and lookup key.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("../dev/harness");
+const { startMockAxcelerate } = require("../dev/mock-axcelerate");
+
+const NORTH_SECRET = "north-webhook-secret";
+const SOUTH_SECRET = "south-webhook-secret";
+
+let h;
+let south;
+let nextId = 1;
+
+test.before(async () => {
+  south = await startMockAxcelerate({ apiToken: "south-api-token", wsToken: "south-ws-token" });
+  h = await startHarness({
+    NOTE_PROCESSING: "sync",
+    LOOKUP_PROFILES: JSON.stringify({ "*": ["full", "sidebar"] }),
+    TENANTS: JSON.stringify({
+      north: {
+        // The harness's own mock, through env references
+        axc: { baseUrl: "env:AXC_BASE_URL", apiToken: "env:AXC_API_TOKEN", wsToken: "env:AXC_WS_TOKEN" },
+        inboxes: ["support@example.edu.au"],
+        webhookSecrets: [NORTH_SECRET],
+        lookupKeys: "desk:north-key",
+      },
+      south: {
+        axc: {
+          baseUrl: south.url, apiToken: south.apiToken, wsToken: south.wsToken,
+          portalUrl: "https://south.example.com",
+        },
+        inboxes: ["help@south.example.edu.au", 2],
+        webhookSecrets: [SOUTH_SECRET],
+        lookupKeys: ["desk:south-key"],
+      },
+    }),
+  });
+});
+test.after(async () => {
+  await h.close();
+  await south.close();
+});
+test.beforeEach(() => {
+  h.mock.reset();
+  south.reset();
+});
+
+function payload(inbox) {
+  const p = h.webhook("outbound-email");
+  p.data.id = 9500 + nextId;
+  for (const t of p.data.threads) t.id = 85000 + nextId;
+  nextId++;
+  if (inbox) p.data.inbox = inbox;
+  return p;
+}
+const SOUTH_INBOX = { id: 2, name: "Help", connectedEmailAddress: "help@south.example.edu.au" };
+
+/* ----------------- webhooks ----------------- */
+test("a webhook from a tenant's inbox is written to that tenant's aXcelerate", async () => {
+  const north = await h.replay(payload(), { secret: NORTH_SECRET });
+  assert.equal(north.statusCode, 200, north.body);
+  assert.equal(h.mock.notes.length, 1);
+  assert.equal(south.notes.length, 0);
+
+  const res = await h.replay(payload(SOUTH_INBOX), { secret: SOUTH_SECRET });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(south.notes.length, 1);
+  assert.equal(h.mock.notes.length, 1);
+});
+
+test("another tenant's secret doesn't verify a webhook from this tenant's inbox", async () => {
+  const res = await h.replay(payload(), { secret: SOUTH_SECRET });
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json.reason, "mismatch");
+  assert.equal(h.mock.requests.length + south.requests.length, 0);
+});
+
+test("a webhook from an inbox no tenant lists is rejected", async () => {
+  const res = await h.replay(payload({ id: 99, connectedEmailAddress: "stranger@example.org" }), { secret: NORTH_SECRET });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.json.error, "Unknown tenant");
+  assert.equal(h.mock.requests.length + south.requests.length, 0);
+});
+
+test("the same conversation in two tenants is not treated as a redelivery", async () => {
+  const p = payload();
+  await h.replay(p, { secret: NORTH_SECRET });
+  const res = await h.replay({ ...p, data: { ...p.data, inbox: SOUTH_INBOX } }, { secret: SOUTH_SECRET });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json.skipped, undefined);
+  assert.equal(south.notes.length, 1);
+});
+
+/* ----------------- lookups ----------------- */
+async function get(key) {
+  const res = await h.handler("contact-and-enrolments")({
+    httpMethod: "GET",
+    headers: key ? { "x-api-key": key } : {},
+    queryStringParameters: { email: "sam@example.com", fresh: "1" },
+  });
+  return { ...res, json: JSON.parse(res.body || "null") };
+}
+
+test("the lookup key picks the tenant's instance and portal", async () => {
+  const res = await get("south-key");
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(h.mock.requests.length, 0);
+  assert.ok(south.requests.length > 0);
+  assert.match(res.json.axcelerateContactUrl, /^https:\/\/south\.example\.com\/management\//);
+
+  const north = await get("north-key");
+  assert.equal(north.statusCode, 200, north.body);
+  assert.ok(north.json.axcelerateContactUrl.startsWith(h.mock.url));
+});
+
+test("a key no tenant owns is refused", async () => {
+  const res = await get("nobody-key");
+  assert.equal(res.statusCode, 403);
+  assert.equal(h.mock.requests.length + south.requests.length, 0);
+});